@@ -1,8 +1,11 @@
 import browser from './lib/browser.js';
 import { RemoteOracle } from './lib/api.js';
 import { LocalGraph } from './lib/graph.js';
-import { GraphSync, isSyncInProgress, stopSync } from './lib/sync.js';
-import { calculateScore, DEFAULT_SCORING } from './lib/scoring.js';
+import { GraphSync, LiveSync, isSyncInProgress, stopSync } from './lib/sync.js';
+import { calculateScore, calculateRankScore, DEFAULT_SCORING } from './lib/scoring.js';
+import { Nip05Verifier } from './lib/nip05.js';
+import { PersonalizedPageRank } from './lib/pagerank.js';
+import { createGraphWorker } from './lib/graph-client.js';
 import * as storage from './lib/storage.js';
 
 const DEFAULT_ORACLE_URL = 'https://wot-oracle.mappingbitcoin.com';
@@ -11,14 +14,23 @@ const DEFAULT_RELAYS = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.no
 // Rate limiting for API methods (10 requests per second per method)
 const RATE_LIMIT_PER_SECOND = 10;
 const RATE_LIMIT_WINDOW_MS = 1000;
+
+// Scheduled re-sync
+const AUTO_SYNC_ALARM = 'autoSync';
+const AUTO_SYNC_INTERVALS = [6, 12, 24]; // Allowed intervals (hours)
+const IDLE_DETECTION_SECONDS = 300; // Inactivity before the browser counts as idle
+const DEFAULT_PATH_LIMIT = 5; // Paths returned by getPaths without a limit
+const MAX_PATH_LIMIT = 50;
+const MAX_QUERY_HOPS = 6; // Deepest maxHops a caller may ask for (the settings allow up to 6 too)
 const rateLimitState = new Map(); // method -> { count, windowStart }
 
 // Methods that should be rate limited (external-facing API methods)
 const RATE_LIMITED_METHODS = new Set([
     'getDistance', 'isInMyWoT', 'getDistanceBetween', 'getTrustScore',
     'getDetails', 'getDistanceBatch', 'getTrustScoreBatch', 'filterByWoT',
-    'getFollows', 'getCommonFollows', 'getPath', 'getMyPubkey', 'isConfigured',
-    'getConfig', 'getStats'
+    'getFollows', 'getCommonFollows', 'getPath', 'getPaths', 'getMyPubkey', 'isConfigured',
+    'getConfig', 'getStats', 'isMutedByMe', 'getMutedByCount', 'getProfile', 'getProfiles',
+    'getFollowers', 'getFollowerCount'
 ]);
 
 function checkRateLimit(method) {
@@ -48,17 +60,35 @@ let config = {
     mode: 'remote',  // 'remote' | 'local' | 'hybrid'
     oracleUrl: DEFAULT_ORACLE_URL,
     myPubkey: null,
+    anchors: [],  // Trust anchor pubkeys (hex) to measure from instead of myPubkey
     relays: DEFAULT_RELAYS,
     maxHops: 3,
+    mutualOnly: false,  // Only count edges where both sides follow each other
     timeout: 5000,
     scoring: DEFAULT_SCORING,
+    liveSync: 0,  // 0 = off, 1 = first hop, 2 = first + second hop
+    autoSync: 0,  // Re-sync interval in hours, 0 = off
+    autoSyncIdleOnly: false,
+    syncBudget: {},  // { maxNodes, maxBytes, maxTimeMs } - see GraphSync.syncFromPubkey
+    lazyGraph: false,  // Load only the first hops of the local graph, page the rest in on demand
 };
 
 let oracle = null;
 let localGraph = null;
+let liveSync = null;
+const nip05Verifier = new Nip05Verifier();
+const pageRank = new PersonalizedPageRank();
+const graphWorker = createGraphWorker(); // null where traversals stay on this thread
 
 // Load config on startup
-loadConfig();
+let configLoaded = loadConfig();
+
+// Alarm listeners must be registered at top level so they can wake the worker
+browser.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTO_SYNC_ALARM) {
+        runAutoSync();
+    }
+});
 
 // === Auto-injection on tab navigation ===
 
@@ -213,15 +243,23 @@ browser.tabs.onCreated.addListener(async (tab) => {
 
 async function loadConfig() {
     const data = await browser.storage.sync.get([
-        'mode', 'oracleUrl', 'myPubkey', 'relays', 'maxHops', 'timeout', 'scoring'
+        'mode', 'oracleUrl', 'myPubkey', 'relays', 'maxHops', 'timeout', 'scoring', 'liveSync',
+        'autoSync', 'autoSyncIdleOnly', 'syncBudget', 'anchors', 'lazyGraph', 'mutualOnly'
     ]);
 
     config.mode = data.mode || 'remote';
     config.oracleUrl = data.oracleUrl || DEFAULT_ORACLE_URL;
     config.myPubkey = data.myPubkey || null;
+    config.anchors = Array.isArray(data.anchors) ? data.anchors : [];
     config.maxHops = data.maxHops || 3;
+    config.mutualOnly = !!data.mutualOnly;
     config.timeout = data.timeout || 5000;
     config.scoring = data.scoring || DEFAULT_SCORING;
+    config.liveSync = Number(data.liveSync) || 0;
+    config.autoSync = AUTO_SYNC_INTERVALS.includes(Number(data.autoSync)) ? Number(data.autoSync) : 0;
+    config.autoSyncIdleOnly = !!data.autoSyncIdleOnly;
+    config.syncBudget = data.syncBudget || {};
+    config.lazyGraph = !!data.lazyGraph;
 
     // Parse relays from comma-separated string
     if (data.relays) {
@@ -229,7 +267,88 @@ async function loadConfig() {
     }
 
     oracle = new RemoteOracle(config.oracleUrl);
+    await storage.configureGraphLoading({ lazy: config.lazyGraph, roots: getGraphRoots() });
     localGraph = new LocalGraph();
+    localGraph.indexSources(getAnchors(), config.maxHops);
+    localGraph.useWorker(graphWorker);
+
+    await restartLiveSync();
+    await scheduleAutoSync();
+}
+
+// (Re)start the live kind-3 subscription if enabled for a local graph
+async function restartLiveSync() {
+    if (liveSync) {
+        liveSync.stop();
+        liveSync = null;
+    }
+
+    if (!config.liveSync || config.mode === 'remote' || !config.myPubkey || config.relays.length === 0) {
+        return;
+    }
+
+    liveSync = new LiveSync(config.relays, config.liveSync);
+    try {
+        await liveSync.start(config.myPubkey);
+    } catch (e) {
+        liveSync.stop();
+        liveSync = null;
+    }
+}
+
+// Create, update or clear the re-sync alarm to match config
+async function scheduleAutoSync() {
+    if (!config.autoSync || config.mode === 'remote' || getAnchors().length === 0) {
+        await browser.alarms.clear(AUTO_SYNC_ALARM);
+        return;
+    }
+
+    const periodInMinutes = config.autoSync * 60;
+    const existing = await browser.alarms.get(AUTO_SYNC_ALARM);
+    if (existing && existing.periodInMinutes === periodInMinutes) {
+        return; // Keep the current schedule across worker restarts
+    }
+
+    // First run one interval after the last sync (or soon, if that has passed)
+    const lastSync = await storage.getMeta('lastSync');
+    const elapsedMinutes = lastSync ? (Date.now() - lastSync) / 60000 : periodInMinutes;
+    browser.alarms.create(AUTO_SYNC_ALARM, {
+        delayInMinutes: Math.max(1, periodInMinutes - elapsedMinutes),
+        periodInMinutes
+    });
+}
+
+// Alarm handler: incremental re-sync, or continue an interrupted crawl
+async function runAutoSync() {
+    await configLoaded;
+
+    if (!config.autoSync || config.mode === 'remote' || getAnchors().length === 0) {
+        return;
+    }
+
+    if (isSyncInProgress()) {
+        await storage.addSyncHistory({ time: Date.now(), trigger: 'auto', status: 'skipped', reason: 'Sync already in progress' });
+        return;
+    }
+
+    if (config.autoSyncIdleOnly) {
+        const state = await browser.idle.queryState(IDLE_DETECTION_SECONDS);
+        if (state === 'active') {
+            await storage.addSyncHistory({ time: Date.now(), trigger: 'auto', status: 'skipped', reason: 'Browser not idle' });
+            return;
+        }
+    }
+
+    try {
+        if (await getResumableSync()) {
+            await resumeSync('auto');
+        } else {
+            const depth = await storage.getMeta('syncDepth') || 2;
+            await syncGraph(depth, { incremental: true, trigger: 'auto' });
+        }
+    } catch (e) {
+        // Outcome already recorded in the sync history
+    }
 }
 
 // Handle messages from content script and popup
@@ -248,10 +367,10 @@ async function handleRequest({ method, params }) {
 
     switch (method) {
         case 'getDistance':
-            return getDistance(config.myPubkey, params.target);
+            return getAnchorDistance(params.target, { mutualOnly: params.mutualOnly });
 
         case 'isInMyWoT':
-            const dist = await getDistance(config.myPubkey, params.target);
+            const dist = await getAnchorDistance(params.target);
             const maxHops = params.maxHops ?? config.maxHops;
             return dist !== null && dist <= maxHops;
 
@@ -259,13 +378,16 @@ async function handleRequest({ method, params }) {
             return getDistance(params.from, params.to);
 
         case 'getTrustScore':
-            return getTrustScore(config.myPubkey, params.target);
+            return getTrustScore(getAnchors(), params.target, { mutualOnly: params.mutualOnly });
 
         case 'getDetails':
-            return getDetails(config.myPubkey, params.target);
+            return getDetails(getAnchors(), params.target, { mutualOnly: params.mutualOnly });
 
         case 'syncGraph':
-            return syncGraph(params?.depth || 2);
+            return syncGraph(params?.depth || 2, { incremental: !!params?.incremental });
+
+        case 'resumeSync':
+            return resumeSync();
 
         case 'stopSync':
             stopSync();
@@ -274,20 +396,32 @@ async function handleRequest({ method, params }) {
         case 'getSyncState':
             return {
                 inProgress: isSyncInProgress(),
-                state: await storage.getMeta('syncState')
+                state: await storage.getMeta('syncState'),
+                resumable: isSyncInProgress() ? null : await getResumableSync()
             };
 
+        case 'getAutoSyncState':
+            return getAutoSyncState();
+
+        case 'getLiveSyncState':
+            return liveSync ? liveSync.getState() : { running: false };
+
         case 'clearGraph':
             return clearGraph();
 
         case 'getStats':
             return storage.getStats();
 
+        case 'getRelayStats':
+            return getRelayStats();
+
         case 'getConfig':
             return {
                 maxHops: config.maxHops,
+                mutualOnly: config.mutualOnly,
                 timeout: config.timeout,
-                scoring: config.scoring
+                scoring: config.scoring,
+                anchors: config.anchors
             };
 
         // === New API methods ===
@@ -297,7 +431,7 @@ async function handleRequest({ method, params }) {
 
         case 'isConfigured':
             return {
-                configured: !!config.myPubkey,
+                configured: getAnchors().length > 0,
                 mode: config.mode,
                 hasLocalGraph: (await storage.getStats()).nodes > 0
             };
@@ -305,7 +439,8 @@ async function handleRequest({ method, params }) {
         case 'getDistanceBatch':
             return getDistanceBatch(params.targets, {
                 includePaths: params.includePaths,
-                includeScores: params.includeScores
+                includeScores: params.includeScores,
+                mutualOnly: params.mutualOnly
             });
 
         case 'getTrustScoreBatch':
@@ -320,8 +455,40 @@ async function handleRequest({ method, params }) {
         case 'getCommonFollows':
             return getCommonFollows(params.pubkey);
 
+        case 'getFollowers':
+            return getFollowers(params.pubkey, params.maxHops);
+
+        case 'getFollowerCount':
+            return getFollowerCount(params.pubkey, params.maxHops);
+
         case 'getPath':
-            return getPathTo(params.target);
+            return getPathTo(params.target, { mutualOnly: params.mutualOnly });
+
+        case 'getPaths':
+            return getPathsTo(params.target, {
+                limit: params.limit,
+                maxHops: params.maxHops,
+                nextShortest: params.nextShortest,
+                mutualOnly: params.mutualOnly
+            });
+
+        case 'isMutedByMe':
+            return isMutedByMe(params.target);
+
+        case 'getMutedByCount':
+            return getMutedByCount(params.target, params.maxHops);
+
+        case 'getProfile':
+            return getProfile(params.pubkey);
+
+        case 'getProfiles':
+            return getProfiles(params.pubkeys);
+
+        case 'resolveNip05':
+            return resolveNip05(params.identifier);
+
+        case 'verifyNip05':
+            return verifyNip05(params.target);
 
         // === End new API methods ===
 
@@ -332,7 +499,8 @@ async function handleRequest({ method, params }) {
             return injectWotApi();
 
         case 'configUpdated':
-            await loadConfig();
+            configLoaded = loadConfig();
+            await configLoaded;
             return { ok: true };
 
         case 'hasHostPermission':
@@ -362,42 +530,115 @@ async function handleRequest({ method, params }) {
     }
 }
 
-async function getDistance(from, to) {
+// Pubkeys that distances and scores are measured from: the configured
+// trust anchors, or just my pubkey. Empty if neither is set.
+function getAnchors() {
+    if (config.anchors.length > 0) return config.anchors;
+    return config.myPubkey ? [config.myPubkey] : [];
+}
+
+// Pubkeys a lazily loaded graph keeps the first hops of in memory: the anchors and
+// my own pubkey (whose follows the live subscription watches)
+function getGraphRoots() {
+    return [...new Set([...getAnchors(), ...(config.myPubkey ? [config.myPubkey] : [])])];
+}
+
+// Whether a sync checkpoint was taken for the current anchors
+function isCheckpointForAnchors(checkpoint) {
+    const roots = new Set(checkpoint.rootPubkeys || [checkpoint.rootPubkey]);
+    const anchors = getAnchors();
+    return roots.size === anchors.length && anchors.every(anchor => roots.has(anchor));
+}
+
+// Of per-anchor distance infos (same order as anchors), the nearest as
+// { hops, paths, anchor }, or null; ties go to the earlier anchor
+function pickNearest(anchors, infos) {
+    let best = null;
+    infos.forEach((info, i) => {
+        if (info && (!best || info.hops < best.hops)) {
+            best = { hops: info.hops, paths: info.paths ?? null, anchor: anchors[i] };
+        }
+    });
+    return best;
+}
+
+// Traversal options of a query: { mutualOnly } from the call, else from config
+function getTraversalOptions(options = {}) {
+    return { mutualOnly: options.mutualOnly ?? config.mutualOnly };
+}
+
+// The remote oracle only knows one-way follows: a call asking for mutual-only
+// results fails in remote mode (the config setting alone is ignored there)
+function checkRemoteTraversal(options) {
+    if (options.mutualOnly) {
+        throw new Error('Mutual-only queries need the local graph');
+    }
+}
+
+// Hops from the nearest trust anchor to target
+// options: { mutualOnly } - see getTraversalOptions
+async function getAnchorDistance(target, options = {}) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+
+    const distances = await Promise.all(anchors.map(anchor => getDistance(anchor, target, options)));
+    const found = distances.filter(d => d !== null);
+    return found.length > 0 ? Math.min(...found) : null;
+}
+
+async function getDistance(from, to, options = {}) {
     if (!from) throw new Error('My pubkey not configured');
+    const traversal = getTraversalOptions(options);
 
     if (config.mode === 'local') {
         await localGraph.ensureReady();
-        return localGraph.getDistance(from, to, config.maxHops);
+        return localGraph.getDistance(from, to, config.maxHops, traversal);
     }
 
     if (config.mode === 'remote') {
+        checkRemoteTraversal(options);
         return oracle.getDistance(from, to);
     }
 
-    // Hybrid: try local first, fall back to remote
+    // Hybrid: try local first, fall back to remote (one-way follows only)
     await localGraph.ensureReady();
-    const local = await localGraph.getDistance(from, to, config.maxHops);
-    if (local !== null) return local;
+    const local = await localGraph.getDistance(from, to, config.maxHops, traversal);
+    if (local !== null || traversal.mutualOnly) return local;
     return oracle.getDistance(from, to);
 }
 
-// Get detailed distance info (with path count and trust score)
-async function getDetails(from, to) {
-    if (!from) throw new Error('My pubkey not configured');
+// Get detailed distance info (with path count and trust score) from the nearest anchor
+// options: { mutualOnly } - see getTraversalOptions
+async function getDetails(anchors, to, options = {}) {
+    const details = await getScoredDistance(anchors, to, options);
+    if (!details) return null;
+
+    const nip05 = await getNip05Status(to);
+    const followsBack = config.myPubkey ? await localGraph.isFollowing(to, config.myPubkey) : null;
+
+    return { ...details, nip05, followsBack };
+}
+
+// Distance, path count, mute/report signals and trust score from the nearest anchor:
+// { hops, paths, score, anchor, mutedBy, reports }, or null if not connected
+async function getScoredDistance(anchors, to, options = {}) {
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+    const traversal = getTraversalOptions(options);
 
     let info;
 
     if (config.mode === 'local') {
         await localGraph.ensureReady();
-        info = await localGraph.getDistanceInfo(from, to, config.maxHops);
+        info = (await localGraph.getDistancesFromAnchors(anchors, [to], config.maxHops, true, traversal)).get(to);
     } else if (config.mode === 'remote') {
-        info = await oracle.getDistanceInfo(from, to);
+        checkRemoteTraversal(options);
+        info = await getDistanceInfoRemote(anchors, to);
     } else {
         // Hybrid: try local first, fall back to remote for details
         await localGraph.ensureReady();
-        info = await localGraph.getDistanceInfo(from, to, config.maxHops);
-        if (info === null) {
-            info = await oracle.getDistanceInfo(from, to);
+        info = (await localGraph.getDistancesFromAnchors(anchors, [to], config.maxHops, true, traversal)).get(to);
+        if (info === null && !traversal.mutualOnly) {
+            info = await getDistanceInfoRemote(anchors, to);
         }
     }
 
@@ -405,25 +646,122 @@ async function getDetails(from, to) {
 
     const hops = info.hops;
     const paths = info.paths ?? null;
-    const score = calculateScore(hops, paths, config.scoring);
+    // Muters and reporters count within the same (mutual or one-way) network; PageRank
+    // is always computed over one-way follows
+    const mutedBy = (await localGraph.getMutedByCounts(anchors, [to], config.maxHops, traversal)).get(to);
+    const reports = await localGraph.getReportSummary(anchors, to, config.maxHops, traversal);
+    await ensurePageRank();
+    const score = scoreTarget(to, hops, paths, { mutedBy, reportedBy: reports.count });
+
+    return { hops, paths, score, anchor: info.anchor, mutedBy, reports };
+}
+
+// Nearest-anchor distance info from the remote oracle (one query per anchor)
+async function getDistanceInfoRemote(anchors, to) {
+    const infos = await Promise.all(anchors.map(anchor => oracle.getDistanceInfo(anchor, to)));
+    return pickNearest(anchors, infos);
+}
+
+// Cached NIP-05 status of the identifier in target's profile:
+// { identifier, verified, checkedAt }, or null if the profile has none.
+// Page calls never fetch nostr.json; verified is null until the popup has checked it.
+async function getNip05Status(target) {
+    const profile = await storage.getProfile(target);
+    if (!profile?.nip05) return null;
+    const { stale, ...status } = await nip05Verifier.cachedStatus(target, profile.nip05);
+    return status;
+}
+
+// Look up the NIP-05 identifier in target's profile again if the cached result
+// is missing or stale (popup only). Same result shape as getNip05Status.
+async function verifyNip05(target) {
+    if (!target) throw new Error('No target specified');
+
+    const profile = await storage.getProfile(target);
+    if (!profile?.nip05) return null;
 
-    return { hops, paths, score };
+    const cached = await nip05Verifier.cachedStatus(target, profile.nip05);
+    if (!cached.stale) {
+        const { stale, ...status } = cached;
+        return status;
+    }
+    return nip05Verifier.verify(target, profile.nip05);
+}
+
+// Negative score signals per target from local mute lists and reports
+// Returns Map target -> { mutedBy, reportedBy }. traversal: { mutualOnly }, see getTraversalOptions
+async function getScoreSignals(targets, traversal = {}) {
+    const [mutedBy, reportedBy] = await Promise.all([
+        localGraph.getMutedByCounts(getAnchors(), targets, config.maxHops, traversal),
+        localGraph.getReportedByCounts(getAnchors(), targets, config.maxHops, traversal)
+    ]);
+    return new Map(targets.map(t => [t, { mutedBy: mutedBy.get(t), reportedBy: reportedBy.get(t) }]));
+}
+
+// Load or compute PageRank percentiles when the scoring algorithm needs them
+async function ensurePageRank() {
+    if (config.scoring.algorithm !== 'pagerank') return;
+
+    await localGraph.ensureReady();
+    await pageRank.ensureFor(getAnchors());
+}
+
+// Trust score of target with the configured algorithm. PageRank falls back to the
+// distance formula for targets the local walk does not reach (e.g. remote results).
+// Call ensurePageRank() first.
+function scoreTarget(target, hops, paths, signals = {}) {
+    if (config.scoring.algorithm === 'pagerank') {
+        const rank = pageRank.getScore(target);
+        if (rank !== null) {
+            return calculateRankScore(hops, rank, config.scoring, signals);
+        }
+    }
+    return calculateScore(hops, paths, config.scoring, signals);
 }
 
 // Calculate trust score based on distance and scoring config
-async function getTrustScore(from, to) {
-    if (!from) throw new Error('My pubkey not configured');
+async function getTrustScore(anchors, to, options = {}) {
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
 
-    const details = await getDetails(from, to);
+    const details = await getScoredDistance(anchors, to, options);
     if (!details || details.hops === null) {
         return null; // Not connected
     }
 
-    return calculateScore(details.hops, details.paths, config.scoring);
+    return details.score;
+}
+
+// options: { incremental?: boolean, checkpoint?: object } - see GraphSync.syncFromPubkey
+// options.trigger: 'manual' | 'auto', recorded in the sync history
+async function syncGraph(depth, options = {}) {
+    const startTime = Date.now();
+    const entry = { time: startTime, trigger: options.trigger || 'manual', depth, resumed: !!options.checkpoint };
+
+    try {
+        const result = await runGraphSync(depth, options);
+        await storage.addSyncHistory({
+            ...entry,
+            status: result.aborted ? 'stopped' : 'ok',
+            truncated: result.truncated || null,
+            nodes: result.nodes,
+            updated: result.updated,
+            failed: result.failed,
+            durationMs: Date.now() - startTime
+        });
+        return result;
+    } catch (e) {
+        // A second sync attempt is not an outcome of its own
+        if (e.message !== 'Sync already in progress') {
+            await storage.addSyncHistory({ ...entry, status: 'failed', reason: e.message, durationMs: Date.now() - startTime });
+        }
+        throw e;
+    }
 }
 
-async function syncGraph(depth) {
-    if (!config.myPubkey) {
+// Run one GraphSync against the configured relays, broadcasting progress to the popup
+async function runGraphSync(depth, options) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) {
         throw new Error('My pubkey not configured');
     }
 
@@ -433,6 +771,12 @@ async function syncGraph(depth) {
 
     const sync = new GraphSync(config.relays);
 
+    // Relays that require NIP-42 AUTH are answered with the user's NIP-07 signer.
+    // Scheduled runs skip them rather than prompt out of the blue.
+    if (options.trigger !== 'auto') {
+        sync.signAuth = signEventInActiveTab;
+    }
+
     // Set up progress callback to broadcast updates
     sync.onProgress = (progress) => {
         // Broadcast progress to popup
@@ -444,11 +788,85 @@ async function syncGraph(depth) {
         });
     };
 
-    return await sync.syncFromPubkey(config.myPubkey, depth);
+    const result = await sync.syncFromPubkeys(anchors, depth, { budget: config.syncBudget, ...options });
+
+    // New lists may change who the live subscription should watch
+    if (liveSync && !result.aborted) {
+        liveSync.scheduleResubscribe();
+    }
+
+    // A lazily loaded graph holds the first hops as of startup; take in the new lists
+    if (config.lazyGraph && !result.aborted) {
+        await storage.reloadFollowGraph();
+    }
+
+    // Refresh PageRank in the background so the next score query finds it ready
+    if (config.scoring.algorithm === 'pagerank' && !result.aborted) {
+        pageRank.compute(anchors).catch(() => {
+            // Computed again on the next score query
+        });
+    }
+
+    return result;
+}
+
+// Summary of an interrupted crawl that can be continued, or null
+async function getResumableSync() {
+    const checkpoint = await storage.getMeta('syncCheckpoint');
+    if (!checkpoint || !isCheckpointForAnchors(checkpoint)) {
+        return null;
+    }
+
+    return {
+        maxDepth: checkpoint.maxDepth,
+        incremental: checkpoint.incremental,
+        done: checkpoint.fetched.length + checkpoint.reused.length,
+        pending: checkpoint.toFetch.length,
+        savedAt: checkpoint.savedAt
+    };
+}
+
+// Continue the crawl saved in the 'syncCheckpoint' meta
+async function resumeSync(trigger = 'manual') {
+    const checkpoint = await storage.getMeta('syncCheckpoint');
+    if (!checkpoint) {
+        throw new Error('No interrupted sync to resume');
+    }
+    if (!isCheckpointForAnchors(checkpoint)) {
+        throw new Error('Interrupted sync was for different trust anchors');
+    }
+
+    return syncGraph(checkpoint.maxDepth, { checkpoint, trigger });
+}
+
+// Persisted per-relay health from past syncs, each flagged with whether it is
+// one of the configured relays (the others are authors' outbox relays)
+async function getRelayStats() {
+    const configured = new Set(config.relays.map(url => url.replace(/\/$/, '')));
+    const stats = await storage.getRelayStats();
+    return stats.map(entry => ({ ...entry, configured: configured.has(entry.url.replace(/\/$/, '')) }));
+}
+
+// Schedule and recent outcomes of automatic re-syncs
+async function getAutoSyncState() {
+    const alarm = await browser.alarms.get(AUTO_SYNC_ALARM);
+    const history = await storage.getSyncHistory();
+
+    return {
+        enabled: !!alarm,
+        intervalHours: config.autoSync,
+        idleOnly: config.autoSyncIdleOnly,
+        nextRun: alarm ? alarm.scheduledTime : null,
+        lastRun: history.find(entry => entry.trigger === 'auto') || null,
+        history
+    };
 }
 
 async function clearGraph() {
+    graphWorker?.cancelAll('Local graph cleared');
     await storage.clearAll();
+    pageRank.invalidate();
+    await restartLiveSync();
     return { ok: true };
 }
 
@@ -462,7 +880,8 @@ async function clearGraph() {
 //   - includeScores: { pubkey: { hops, score } }
 //   - both: { pubkey: { hops, paths, score } }
 async function getDistanceBatch(targets, options = {}) {
-    if (!config.myPubkey) throw new Error('My pubkey not configured');
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
     if (!Array.isArray(targets)) throw new Error('targets must be an array');
 
     // Support legacy boolean parameter for backwards compatibility
@@ -472,46 +891,58 @@ async function getDistanceBatch(targets, options = {}) {
 
     const { includePaths, includeScores } = opts;
     const needDetails = includePaths || includeScores;
+    const traversal = getTraversalOptions(opts);
+
+    // Mutes and reports are only known locally; they feed score penalties in every mode
+    const signals = includeScores ? await getScoreSignals(targets, traversal) : null;
+    if (includeScores) {
+        await ensurePageRank();
+    }
 
     if (config.mode === 'local') {
         await localGraph.ensureReady();
-        const results = await localGraph.getDistancesBatch(config.myPubkey, targets, config.maxHops, needDetails);
-        return formatBatchResults(results, opts);
+        const results = await localGraph.getDistancesFromAnchors(anchors, targets, config.maxHops, needDetails, traversal);
+        return formatBatchResults(results, opts, signals);
     }
 
     if (config.mode === 'remote') {
+        checkRemoteTraversal(opts);
         if (needDetails) {
-            const results = await getDetailsBatchRemote(targets);
-            return formatBatchResultsFromDetails(results, opts);
+            const results = await getDetailsBatchRemote(anchors, targets);
+            return formatBatchResultsFromDetails(results, opts, signals);
         }
-        return oracle.getDistanceBatch(config.myPubkey, targets);
+        return getDistanceBatchRemote(anchors, targets);
     }
 
     // Hybrid: try local first, then remote for missing
     await localGraph.ensureReady();
-    const localResults = await localGraph.getDistancesBatch(config.myPubkey, targets, config.maxHops, needDetails);
+    const localResults = await localGraph.getDistancesFromAnchors(anchors, targets, config.maxHops, needDetails, traversal);
 
     const obj = {};
     const missing = [];
 
     for (const [pubkey, info] of localResults) {
         if (info !== null) {
-            obj[pubkey] = formatSingleResult(info, opts);
+            obj[pubkey] = formatSingleResult(pubkey, info, opts, signals?.get(pubkey));
         } else {
             missing.push(pubkey);
         }
     }
 
-    // Fetch missing from remote
-    if (missing.length > 0) {
+    // Fetch missing from remote (one-way follows only)
+    if (traversal.mutualOnly) {
+        for (const pubkey of missing) {
+            obj[pubkey] = null;
+        }
+    } else if (missing.length > 0) {
         try {
             if (needDetails) {
-                const remoteResults = await getDetailsBatchRemote(missing);
+                const remoteResults = await getDetailsBatchRemote(anchors, missing);
                 for (const [pubkey, details] of Object.entries(remoteResults)) {
-                    obj[pubkey] = details ? formatSingleResult(details, opts) : null;
+                    obj[pubkey] = details ? formatSingleResult(pubkey, details, opts, signals?.get(pubkey)) : null;
                 }
             } else {
-                const remoteResults = await oracle.getDistanceBatch(config.myPubkey, missing);
+                const remoteResults = await getDistanceBatchRemote(anchors, missing);
                 for (const [pubkey, hops] of Object.entries(remoteResults)) {
                     obj[pubkey] = hops;
                 }
@@ -527,7 +958,8 @@ async function getDistanceBatch(targets, options = {}) {
 }
 
 // Format a single result based on options
-function formatSingleResult(info, opts) {
+// signals: { mutedBy, reportedBy } for score penalties (see getScoreSignals)
+function formatSingleResult(pubkey, info, opts, signals = {}) {
     const { includePaths, includeScores } = opts;
 
     if (!includePaths && !includeScores) {
@@ -541,40 +973,54 @@ function formatSingleResult(info, opts) {
     }
 
     if (includeScores) {
-        result.score = calculateScore(info.hops, info.paths ?? null, config.scoring);
+        result.score = scoreTarget(pubkey, info.hops, info.paths ?? null, signals);
+    }
+
+    if (info.anchor) {
+        result.anchor = info.anchor;
     }
 
     return result;
 }
 
 // Format batch results from Map
-function formatBatchResults(results, opts) {
+function formatBatchResults(results, opts, signals = null) {
     const obj = {};
     for (const [pubkey, info] of results) {
-        obj[pubkey] = info ? formatSingleResult(info, opts) : null;
+        obj[pubkey] = info ? formatSingleResult(pubkey, info, opts, signals?.get(pubkey)) : null;
     }
     return obj;
 }
 
 // Format batch results from details object
-function formatBatchResultsFromDetails(results, opts) {
+function formatBatchResultsFromDetails(results, opts, signals = null) {
     const obj = {};
     for (const [pubkey, info] of Object.entries(results)) {
-        obj[pubkey] = info ? formatSingleResult(info, opts) : null;
+        obj[pubkey] = info ? formatSingleResult(pubkey, info, opts, signals?.get(pubkey)) : null;
     }
     return obj;
 }
 
+// Helper: min hops per target from the remote oracle, one batch query per anchor
+async function getDistanceBatchRemote(anchors, targets) {
+    const batches = await Promise.all(anchors.map(anchor => oracle.getDistanceBatch(anchor, targets)));
+    const results = {};
+    for (const target of targets) {
+        const found = batches.map(batch => batch[target]).filter(hops => hops !== null && hops !== undefined);
+        results[target] = found.length > 0 ? Math.min(...found) : null;
+    }
+    return results;
+}
+
 // Helper: fetch details for multiple targets from remote oracle
-async function getDetailsBatchRemote(targets) {
+async function getDetailsBatchRemote(anchors, targets) {
     const results = {};
     const CONCURRENCY = 5;
     for (let i = 0; i < targets.length; i += CONCURRENCY) {
         const batch = targets.slice(i, i + CONCURRENCY);
         const promises = batch.map(async (target) => {
             try {
-                const info = await oracle.getDistanceInfo(config.myPubkey, target);
-                return [target, info ? { hops: info.hops, paths: info.paths ?? null } : null];
+                return [target, await getDistanceInfoRemote(anchors, target)];
             } catch {
                 return [target, null];
             }
@@ -589,7 +1035,7 @@ async function getDetailsBatchRemote(targets) {
 
 // Get trust scores for multiple targets at once
 async function getTrustScoreBatch(targets) {
-    if (!config.myPubkey) throw new Error('My pubkey not configured');
+    if (getAnchors().length === 0) throw new Error('My pubkey not configured');
     if (!Array.isArray(targets)) throw new Error('targets must be an array');
 
     // Use getDistanceBatch with includeScores to get scores directly
@@ -605,7 +1051,7 @@ async function getTrustScoreBatch(targets) {
 
 // Filter pubkeys to only those within WoT
 async function filterByWoT(pubkeys, maxHops) {
-    if (!config.myPubkey) throw new Error('My pubkey not configured');
+    if (getAnchors().length === 0) throw new Error('My pubkey not configured');
     if (!Array.isArray(pubkeys)) throw new Error('pubkeys must be an array');
 
     const hops = maxHops ?? config.maxHops;
@@ -659,25 +1105,158 @@ async function getCommonFollows(targetPubkey) {
     return localGraph.getCommonFollows(config.myPubkey, targetPubkey);
 }
 
-// Get path to a target
-async function getPathTo(target) {
-    if (!config.myPubkey) throw new Error('My pubkey not configured');
+// The anchor that paths to target start from: the nearest one, picked the same way
+// as in getScoredDistance (the first anchor if none reaches target within maxHops)
+async function getPathAnchor(anchors, target, maxHops, traversal) {
+    if (anchors.length === 1) return anchors[0];
+
+    let info = null;
+    if (config.mode !== 'remote') {
+        await localGraph.ensureReady();
+        info = (await localGraph.getDistancesFromAnchors(anchors, [target], maxHops, false, traversal)).get(target);
+    }
+    if (!info && config.mode !== 'local' && !traversal.mutualOnly) {
+        info = await getDistanceInfoRemote(anchors, target);
+    }
+    return info?.anchor ?? anchors[0];
+}
+
+// Get path to a target from the nearest anchor
+// options: { mutualOnly } - see getTraversalOptions
+async function getPathTo(target, options = {}) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
     if (!target) throw new Error('No target specified');
+    const traversal = getTraversalOptions(options);
+
+    if (config.mode === 'remote') {
+        checkRemoteTraversal(options);
+    }
+    const from = await getPathAnchor(anchors, target, config.maxHops, traversal);
 
     if (config.mode === 'remote') {
-        return oracle.getPath(config.myPubkey, target);
+        return oracle.getPath(from, target);
     }
 
     if (config.mode === 'hybrid') {
         // Try local first, fall back to remote
-        await localGraph.ensureReady();
-        const local = await localGraph.getPath(config.myPubkey, target, config.maxHops);
-        if (local) return local;
-        return oracle.getPath(config.myPubkey, target);
+        const local = await localGraph.getPath(from, target, config.maxHops, traversal);
+        if (local || traversal.mutualOnly) return local;
+        return oracle.getPath(from, target);
+    }
+
+    return localGraph.getPath(from, target, config.maxHops, traversal);
+}
+
+// A maxHops given by the caller (pages included), checked before it sizes a traversal
+// or goes into an oracle URL; config.maxHops if not given
+function resolveMaxHops(maxHops) {
+    if (maxHops === undefined || maxHops === null) return config.maxHops;
+    if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > MAX_QUERY_HOPS) {
+        throw new Error(`maxHops must be an integer from 1 to ${MAX_QUERY_HOPS}`);
     }
+    return maxHops;
+}
+
+// Get up to `limit` distinct shortest paths to a target from the nearest anchor
+// options: { limit, maxHops, nextShortest, mutualOnly } - see LocalGraph.getPaths
+async function getPathsTo(target, options = {}) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+    if (!target) throw new Error('No target specified');
+
+    const limit = options.limit ?? DEFAULT_PATH_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a positive integer');
+
+    const query = {
+        limit: Math.min(limit, MAX_PATH_LIMIT),
+        maxHops: resolveMaxHops(options.maxHops),
+        nextShortest: options.nextShortest === true
+    };
+    const traversal = getTraversalOptions(options);
+
+    if (config.mode === 'remote') {
+        checkRemoteTraversal(options);
+    }
+    const from = await getPathAnchor(anchors, target, query.maxHops, traversal);
+
+    if (config.mode === 'remote') {
+        return oracle.getPaths(from, target, query);
+    }
+
+    if (config.mode === 'hybrid') {
+        // Try local first, fall back to remote
+        const local = await localGraph.getPaths(from, target, { ...query, ...traversal });
+        if (local.length > 0 || traversal.mutualOnly) return local;
+        return oracle.getPaths(from, target, query);
+    }
+
+    return localGraph.getPaths(from, target, { ...query, ...traversal });
+}
+
+// Pubkeys within maxHops of a trust anchor (anchors included) whose stored follow
+// list contains pubkey, nearest first (local data only)
+async function getFollowers(pubkey, maxHops) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+    if (!pubkey) throw new Error('No pubkey specified');
+
+    const followers = await localGraph.getFollowers(anchors, pubkey, resolveMaxHops(maxHops));
+    return followers.map(f => f.pubkey);
+}
+
+// In-network in-degree: how many pubkeys within maxHops of a trust anchor follow pubkey
+async function getFollowerCount(pubkey, maxHops) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+    if (!pubkey) throw new Error('No pubkey specified');
+
+    const counts = await localGraph.getFollowerCounts(anchors, [pubkey], resolveMaxHops(maxHops));
+    return counts.get(pubkey);
+}
+
+// Whether my own public mute list contains target (local data only)
+async function isMutedByMe(target) {
+    if (!config.myPubkey) throw new Error('My pubkey not configured');
+    if (!target) throw new Error('No target specified');
 
     await localGraph.ensureReady();
-    return localGraph.getPath(config.myPubkey, target, config.maxHops);
+    return storage.isMuted(config.myPubkey, target);
+}
+
+// Number of pubkeys within maxHops of a trust anchor (anchors included) whose
+// public mute list contains target
+async function getMutedByCount(target, maxHops) {
+    const anchors = getAnchors();
+    if (anchors.length === 0) throw new Error('My pubkey not configured');
+    if (!target) throw new Error('No target specified');
+
+    const counts = await localGraph.getMutedByCounts(anchors, [target], resolveMaxHops(maxHops));
+    return counts.get(target);
+}
+
+// Cached kind-0 profile of a pubkey, or null if none has been synced
+async function getProfile(pubkey) {
+    if (!pubkey) throw new Error('No pubkey specified');
+    return storage.getProfile(pubkey);
+}
+
+// Cached profiles for several pubkeys: { pubkey: profile | null }
+async function getProfiles(pubkeys) {
+    if (!Array.isArray(pubkeys)) throw new Error('pubkeys must be an array');
+
+    const profiles = await storage.getProfiles(pubkeys);
+    const result = {};
+    for (const pubkey of pubkeys) {
+        result[pubkey] = profiles.get(pubkey) ?? null;
+    }
+    return result;
+}
+
+// Pubkey a NIP-05 identifier (name@domain) points to, or null
+async function resolveNip05(identifier) {
+    if (!identifier) throw new Error('No identifier specified');
+    return nip05Verifier.resolve(identifier);
 }
 
 // Get pubkey from window.nostr on the active tab
@@ -709,6 +1288,36 @@ async function getNostrPubkeyFromActiveTab() {
     }
 }
 
+// Sign an event template with window.nostr on the active tab (NIP-07), or null
+async function signEventInActiveTab(template) {
+    try {
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return null;
+
+        const results = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            world: 'MAIN',
+            func: async (event) => {
+                try {
+                    if (window.nostr && typeof window.nostr.signEvent === 'function') {
+                        return await window.nostr.signEvent(event);
+                    }
+                } catch (e) {
+                    return null;
+                }
+                return null;
+            },
+            args: [template]
+        });
+
+        const signed = results?.[0]?.result;
+        return signed?.kind === template.kind ? signed : null;
+    } catch (e) {
+        // Permission denied or scripting not available on this tab
+        return null;
+    }
+}
+
 // Inject window.nostr.wot API into the active tab
 async function injectWotApi() {
     try {
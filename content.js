@@ -11,7 +11,8 @@ if (window.__nostrWotContentInjected) {
     const ALLOWED_METHODS = [
         'getDistance', 'isInMyWoT', 'getDistanceBetween', 'getTrustScore', 'getDetails', 'getConfig',
         'getMyPubkey', 'isConfigured', 'getDistanceBatch', 'getTrustScoreBatch', 'filterByWoT',
-        'getFollows', 'getCommonFollows', 'getPath', 'getStats'
+        'getFollows', 'getCommonFollows', 'getPath', 'getPaths', 'getStats', 'isMutedByMe', 'getMutedByCount',
+        'getProfile', 'getProfiles', 'getFollowers', 'getFollowerCount'
     ];
 
     // Rate limiting: 1000 requests per second
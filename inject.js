@@ -58,15 +58,16 @@
     window.nostr = window.nostr || {};
     window.nostr.wot = {
         // Core methods
-        getDistance: (target) => call('getDistance', { target }),
+        // options: { mutualOnly?: boolean } - only count edges where both sides follow each other
+        getDistance: (target, options) => call('getDistance', { target, mutualOnly: options?.mutualOnly }),
         isInMyWoT: (target, maxHops) => call('isInMyWoT', { target, maxHops }),
         getDistanceBetween: (from, to) => call('getDistanceBetween', { from, to }),
-        getTrustScore: (target) => call('getTrustScore', { target }),
-        getDetails: (target) => call('getDetails', { target }),
+        getTrustScore: (target, options) => call('getTrustScore', { target, mutualOnly: options?.mutualOnly }),
+        getDetails: (target, options) => call('getDetails', { target, mutualOnly: options?.mutualOnly }),
         getConfig: () => call('getConfig', {}),
 
         // Batch operations
-        // options: { includePaths?: boolean, includeScores?: boolean }
+        // options: { includePaths?: boolean, includeScores?: boolean, mutualOnly?: boolean }
         // Returns: { pubkey: hops } or { pubkey: { hops, paths?, score? } } based on options
         getDistanceBatch: (targets, options) => {
             // Support legacy boolean parameter for backwards compatibility
@@ -85,10 +86,29 @@
         // Graph queries
         getFollows: (pubkey) => call('getFollows', { pubkey }),
         getCommonFollows: (pubkey) => call('getCommonFollows', { pubkey }),
+        getFollowers: (pubkey, options) => call('getFollowers', { pubkey, maxHops: options?.maxHops }),
+        getFollowerCount: (pubkey, options) => call('getFollowerCount', { pubkey, maxHops: options?.maxHops }),
         getStats: () => call('getStats', {}),
 
         // Path info
-        getPath: (target) => call('getPath', { target }),
+        getPath: (target, options) => call('getPath', { target, mutualOnly: options?.mutualOnly }),
+        // options: { limit?: number, maxHops?: number, nextShortest?: boolean, mutualOnly?: boolean }
+        // Returns: [[pubkey, ...], ...] - shortest paths first
+        getPaths: (target, options) => call('getPaths', {
+            target,
+            limit: options?.limit,
+            maxHops: options?.maxHops,
+            nextShortest: options?.nextShortest,
+            mutualOnly: options?.mutualOnly
+        }),
+
+        // Mute lists (kind 10000)
+        isMutedByMe: (target) => call('isMutedByMe', { target }),
+        getMutedByCount: (target, maxHops) => call('getMutedByCount', { target, maxHops }),
+
+        // Profiles (kind 0)
+        getProfile: (pubkey) => call('getProfile', { pubkey }),
+        getProfiles: (pubkeys) => call('getProfiles', { pubkeys }),
     };
 
     // Notify page that WoT API is ready
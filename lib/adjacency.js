@@ -0,0 +1,271 @@
+/**
+ * Compressed-sparse-row (CSR) follow graph
+ *
+ * Follow lists live in two flat typed arrays: the follows of id are
+ * edges[offsets[id]] .. edges[offsets[id + 1] - 1]. Lists replaced after the
+ * arrays were built go to an overlay instead of rebuilding them, until the
+ * overlay grows large enough to fold back in. The reverse (follower) arrays are
+ * built on first use the same way.
+ *
+ * Implements the graph interface of traversal.js.
+ */
+
+const JOURNAL_SIZE = 10000; // Changes kept for changesSince; older readers rebuild
+const MIN_COMPACT_OVERLAY = 4096; // Overlay lists before compacting is considered
+
+const EMPTY = new Uint32Array(0);
+
+export class CsrAdjacency {
+    constructor() {
+        this.offsets = new Uint32Array(1);
+        this.edges = EMPTY;
+        this.overlay = new Map(); // id -> Uint32Array, replaces the CSR slice
+        this.reverse = null; // { offsets, edges } of followers, built on first use
+        this.followerOverlay = new Map(); // id -> Set of follower ids, replaces the reverse slice
+        this.listed = new Uint8Array(0); // 1 = a follow list is stored for id (possibly empty)
+        this.listCount = 0;
+        this.highestId = 0;
+
+        this.currentVersion = 0;
+        this.journal = []; // journal[i] changed in version journalStart + i + 1
+        this.journalStart = 0;
+    }
+
+    // Replace the whole graph. lists: iterable of { id, follows: Uint32Array }
+    load(lists) {
+        const records = [...lists];
+
+        let highestId = 0;
+        let edgeCount = 0;
+        for (const { id, follows } of records) {
+            highestId = Math.max(highestId, id, maxOf(follows));
+            edgeCount += follows.length;
+        }
+
+        const offsets = new Uint32Array(highestId + 2);
+        for (const { id, follows } of records) {
+            offsets[id + 1] = follows.length;
+        }
+        for (let i = 1; i < offsets.length; i++) {
+            offsets[i] += offsets[i - 1];
+        }
+
+        const edges = new Uint32Array(edgeCount);
+        const listed = new Uint8Array(highestId + 1);
+        let listCount = 0;
+        for (const { id, follows } of records) {
+            edges.set(follows, offsets[id]);
+            if (listed[id] === 0) listCount++;
+            listed[id] = 1;
+        }
+
+        this.offsets = offsets;
+        this.edges = edges;
+        this.overlay = new Map();
+        this.reverse = null;
+        this.followerOverlay = new Map();
+        this.listed = listed;
+        this.listCount = listCount;
+        this.highestId = highestId;
+
+        // Every earlier reader has to start over
+        this.currentVersion++;
+        this.journal = [];
+        this.journalStart = this.currentVersion;
+    }
+
+    // Replace some follow lists. lists: iterable of [id, follows (array or Uint32Array)]
+    update(lists) {
+        for (const [id, list] of lists) {
+            const follows = Uint32Array.from(list);
+
+            // Keep the follower side in step, once it exists
+            if (this.reverse) {
+                const previous = new Set(this.follows(id));
+                const next = new Set(follows);
+                for (const followedId of previous) {
+                    if (!next.has(followedId)) this._followerSet(followedId).delete(id);
+                }
+                for (const followedId of next) {
+                    if (!previous.has(followedId)) this._followerSet(followedId).add(id);
+                }
+            }
+
+            this.overlay.set(id, follows);
+            this.highestId = Math.max(this.highestId, id, maxOf(follows));
+            this._markListed(id);
+            this.markChanged(id);
+        }
+
+        if (this.overlay.size > Math.max(MIN_COMPACT_OVERLAY, this.listCount / 4)) {
+            this.compact();
+        }
+    }
+
+    // Fold the overlay back into the flat arrays. Lists stay the same, so the
+    // version does not change.
+    compact() {
+        const size = this.highestId + 1;
+        const offsets = new Uint32Array(size + 1);
+        for (let id = 0; id < size; id++) {
+            offsets[id + 1] = offsets[id] + this.follows(id).length;
+        }
+
+        const edges = new Uint32Array(offsets[size]);
+        for (let id = 0; id < size; id++) {
+            edges.set(this.follows(id), offsets[id]);
+        }
+
+        this.offsets = offsets;
+        this.edges = edges;
+        this.overlay = new Map();
+        this.reverse = null;
+        this.followerOverlay = new Map();
+    }
+
+    // Whether a follow list is stored for id, even an empty one
+    has(id) {
+        return id < this.listed.length && this.listed[id] === 1;
+    }
+
+    // Number of stored follow lists
+    get size() {
+        return this.listCount;
+    }
+
+    // Ids with a stored follow list
+    *ids() {
+        for (let id = 0; id < this.listed.length; id++) {
+            if (this.listed[id] === 1) yield id;
+        }
+    }
+
+    // Number of follow edges
+    edgeCount() {
+        let count = this.edges.length;
+        for (const [id, follows] of this.overlay) {
+            if (id + 1 < this.offsets.length) {
+                count -= this.offsets[id + 1] - this.offsets[id];
+            }
+            count += follows.length;
+        }
+        return count;
+    }
+
+    // Approximate memory held, in bytes
+    byteSize() {
+        let bytes = this.offsets.byteLength + this.edges.byteLength + this.listed.byteLength;
+        for (const follows of this.overlay.values()) {
+            bytes += follows.byteLength + 16;
+        }
+        if (this.reverse) {
+            bytes += this.reverse.offsets.byteLength + this.reverse.edges.byteLength;
+        }
+        for (const followers of this.followerOverlay.values()) {
+            bytes += followers.size * 16;
+        }
+        return bytes;
+    }
+
+    follows(id) {
+        const replaced = this.overlay.get(id);
+        if (replaced) return replaced;
+        if (id + 1 >= this.offsets.length) return EMPTY;
+        return this.edges.subarray(this.offsets[id], this.offsets[id + 1]);
+    }
+
+    // Follower ids: a Set once id's followers changed, else a slice of the reverse
+    // arrays, in ascending order (MutualGraph relies on it)
+    followers(id) {
+        const replaced = this.followerOverlay.get(id);
+        if (replaced) return replaced;
+
+        const reverse = this._getReverse();
+        if (id + 1 >= reverse.offsets.length) return EMPTY;
+        return reverse.edges.subarray(reverse.offsets[id], reverse.offsets[id + 1]);
+    }
+
+    maxId() {
+        return this.highestId;
+    }
+
+    version() {
+        return this.currentVersion;
+    }
+
+    changesSince(version) {
+        if (version < this.journalStart) return null;
+        return this.journal.slice(version - this.journalStart);
+    }
+
+    // Record a change to id's list for changesSince readers. update() does this itself;
+    // call it directly for a list kept outside this graph.
+    markChanged(id) {
+        this.currentVersion++;
+        this.journal.push(id);
+        if (this.journal.length > 2 * JOURNAL_SIZE) {
+            this.journal = this.journal.slice(JOURNAL_SIZE);
+            this.journalStart += JOURNAL_SIZE;
+        }
+    }
+
+    // Reverse CSR of the current follow lists (overlay included)
+    _getReverse() {
+        if (this.reverse) return this.reverse;
+
+        const size = this.highestId + 1;
+        const offsets = new Uint32Array(size + 1);
+        for (let id = 0; id < size; id++) {
+            const follows = this.follows(id);
+            for (let i = 0; i < follows.length; i++) {
+                offsets[follows[i] + 1]++;
+            }
+        }
+        for (let i = 1; i < offsets.length; i++) {
+            offsets[i] += offsets[i - 1];
+        }
+
+        const edges = new Uint32Array(offsets[size]);
+        const fill = offsets.slice(0, size);
+        for (let id = 0; id < size; id++) {
+            const follows = this.follows(id);
+            for (let i = 0; i < follows.length; i++) {
+                edges[fill[follows[i]]++] = id;
+            }
+        }
+
+        this.reverse = { offsets, edges };
+        this.followerOverlay = new Map();
+        return this.reverse;
+    }
+
+    _markListed(id) {
+        if (id >= this.listed.length) {
+            const listed = new Uint8Array(Math.max(id + 1, this.listed.length * 2));
+            listed.set(this.listed);
+            this.listed = listed;
+        }
+        if (this.listed[id] === 0) {
+            this.listed[id] = 1;
+            this.listCount++;
+        }
+    }
+
+    // Editable follower set of id, copied out of the reverse CSR on first change
+    _followerSet(id) {
+        let followers = this.followerOverlay.get(id);
+        if (!followers) {
+            followers = new Set(this.followers(id));
+            this.followerOverlay.set(id, followers);
+        }
+        return followers;
+    }
+}
+
+function maxOf(ids) {
+    let max = 0;
+    for (let i = 0; i < ids.length; i++) {
+        if (ids[i] > max) max = ids[i];
+    }
+    return max;
+}
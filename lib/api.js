@@ -86,6 +86,26 @@ function validatePathResponse(data) {
     return data;
 }
 
+function validatePathsResponse(data) {
+    if (typeof data !== 'object' || data === null) {
+        throw new Error('Invalid oracle paths response: expected object');
+    }
+    if (!Array.isArray(data.paths)) {
+        throw new Error('Invalid oracle paths response: paths must be an array');
+    }
+    for (const path of data.paths) {
+        if (!Array.isArray(path)) {
+            throw new Error('Invalid oracle paths response: each path must be an array');
+        }
+        for (const pubkey of path) {
+            if (!isValidPubkey(pubkey)) {
+                throw new Error(`Invalid oracle paths response: invalid pubkey ${pubkey}`);
+            }
+        }
+    }
+    return data;
+}
+
 export class RemoteOracle {
     constructor(baseUrl) {
         this.baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
@@ -213,4 +233,26 @@ export class RemoteOracle {
         validatePathResponse(data);
         return data.path ?? null;
     }
+
+    // Get up to limit shortest paths between two pubkeys (see LocalGraph.getPaths).
+    // Oracles without a /paths endpoint answer with the single path from /path.
+    async getPaths(from, to, { limit = 10, maxHops, nextShortest = false } = {}) {
+        const params = new URLSearchParams({ from, to, limit: String(limit) });
+        if (maxHops !== undefined) params.set('maxHops', String(maxHops));
+        if (nextShortest) params.set('nextShortest', '1');
+        const res = await fetch(`${this.baseUrl}/paths?${params}`);
+
+        if (!res.ok) {
+            // 404 is also what an oracle without the endpoint returns
+            if (res.status === 404 || res.status === 501) {
+                const path = await this.getPath(from, to);
+                return path ? [path] : [];
+            }
+            throw new Error(`Oracle paths error: ${res.status}`);
+        }
+
+        const data = await res.json();
+        validatePathsResponse(data);
+        return data.paths.slice(0, limit);
+    }
 }
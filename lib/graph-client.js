@@ -0,0 +1,226 @@
+// Background side of the graph worker (lib/graph-worker.js)
+//
+// Queries run one at a time. Before each one the worker is brought up to date
+// with the follow lists in storage: changed lists are sent over, or the worker
+// re-reads everything from IndexedDB when the change journal no longer reaches
+// back far enough. A traversal cannot be interrupted inside the worker, so
+// cancelling a running query replaces the worker. The timeout only counts the
+// traversal: a cold load of a large graph can take longer, and replacing the
+// worker over it would only start the same load again.
+
+import browser from './browser.js';
+import * as storage from './storage.js';
+
+const QUERY_TIMEOUT_MS = 30000; // Same as the page API's request timeout, from when the query is sent
+const OFFSCREEN_URL = 'offscreen/graph.html';
+
+export class GraphWorkerClient {
+    constructor(transport) {
+        this.transport = transport;
+        this.queue = [];
+        this.running = null;
+        this.version = null; // Storage follow version the worker holds, null = needs a full load
+        this.generation = 0; // Bumped whenever the worker is replaced
+    }
+
+    // Run a GraphQueries method in the worker
+    run(op, args) {
+        return new Promise((resolve, reject) => {
+            const job = { op, args, resolve, reject, done: false, timer: null };
+            this.queue.push(job);
+            this._next();
+        });
+    }
+
+    // Reject queued and running queries (e.g. because the graph was cleared)
+    cancelAll(reason = 'Graph query cancelled') {
+        for (const job of this.queue.splice(0)) {
+            this._settle(job, null, new Error(reason));
+        }
+        if (this.running) {
+            this._cancel(this.running, new Error(reason));
+        }
+    }
+
+    _cancel(job, error) {
+        if (job.done) return;
+
+        if (job === this.running) {
+            // The replacement worker starts empty and is loaded again by the next query
+            this.generation++;
+            this.version = null;
+            this.transport.restart(error.message).catch(() => {
+                // Nothing to stop
+            });
+        } else {
+            const index = this.queue.indexOf(job);
+            if (index !== -1) this.queue.splice(index, 1);
+        }
+
+        this._settle(job, null, error);
+    }
+
+    _settle(job, result, error) {
+        if (job.done) return;
+        job.done = true;
+        clearTimeout(job.timer);
+
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    async _next() {
+        if (this.running || this.queue.length === 0) return;
+
+        const job = this.queue.shift();
+        this.running = job;
+
+        try {
+            await this._sync();
+            if (job.done) return; // Cancelled while the worker was loading
+
+            job.timer = setTimeout(() => {
+                this._cancel(job, new Error('Graph query timed out'));
+            }, QUERY_TIMEOUT_MS);
+            this._settle(job, await this.transport.request(job.op, job.args));
+        } catch (e) {
+            this._settle(job, null, e);
+        } finally {
+            this.running = null;
+            this._next();
+        }
+    }
+
+    // Send the worker the follow lists that changed since it was last synced
+    async _sync() {
+        const generation = this.generation;
+        const version = storage.getFollowsVersion();
+        if (version === this.version) return;
+
+        const changes = this.version === null ? null : storage.getFollowChangesSince(this.version);
+        if (changes === null) {
+            await storage.flushWriteBuffer();
+            await this.transport.request('load', []);
+        } else {
+            const lists = [...new Set(changes)].map(id => [id, Array.from(storage.getFollowIdsSync(id))]);
+            await this.transport.request('update', [lists]);
+        }
+
+        if (generation === this.generation) {
+            this.version = version;
+        }
+    }
+}
+
+// A module Worker started by this context
+export class DirectTransport {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // message id -> { resolve, reject }
+        this.nextId = 1;
+    }
+
+    request(op, args) {
+        if (!this.worker) {
+            this._start();
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, op, args });
+        });
+    }
+
+    async restart(reason) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._failAll(new Error(reason));
+    }
+
+    _start() {
+        this.worker = new Worker(new URL('./graph-worker.js', import.meta.url), { type: 'module' });
+
+        this.worker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const entry = this.pending.get(id);
+            if (!entry) return;
+
+            this.pending.delete(id);
+            if (error) {
+                entry.reject(new Error(error));
+            } else {
+                entry.resolve(result);
+            }
+        };
+
+        this.worker.onerror = (event) => {
+            this.restart(event.message || 'Graph worker failed');
+        };
+    }
+
+    _failAll(error) {
+        for (const entry of this.pending.values()) {
+            entry.reject(error);
+        }
+        this.pending.clear();
+    }
+}
+
+// The worker inside an offscreen document (offscreen/graph.js), for Chrome's
+// service worker, which cannot start workers itself. Messages go through
+// runtime messaging, so everything sent must be JSON-serializable.
+export class OffscreenTransport {
+    constructor() {
+        this.creating = null;
+    }
+
+    async request(op, args) {
+        await this._ensureDocument();
+
+        const response = await browser.runtime.sendMessage({ target: 'graphWorker', op, args });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+        return response?.result;
+    }
+
+    async restart(reason) {
+        if (await browser.offscreen.hasDocument()) {
+            await browser.runtime.sendMessage({ target: 'graphWorker', op: 'restart', args: [reason] });
+        }
+    }
+
+    async _ensureDocument() {
+        if (await browser.offscreen.hasDocument()) return;
+
+        if (!this.creating) {
+            this.creating = browser.offscreen.createDocument({
+                url: OFFSCREEN_URL,
+                reasons: ['WORKERS'],
+                justification: 'Run Web of Trust graph traversals without blocking the service worker'
+            }).finally(() => {
+                this.creating = null;
+            });
+        }
+        await this.creating;
+    }
+}
+
+// Graph worker client for this context: a direct Worker where one can be started
+// (Firefox background page), an offscreen document where not (Chrome service
+// worker), or null to keep traversals in-process
+export function createGraphWorker() {
+    if (typeof Worker !== 'undefined') {
+        return new GraphWorkerClient(new DirectTransport());
+    }
+    if (browser.offscreen?.createDocument) {
+        return new GraphWorkerClient(new OffscreenTransport());
+    }
+    return null;
+}
@@ -0,0 +1,61 @@
+// Graph worker: runs LocalGraph traversals off the background thread.
+// Started as a module Worker, by the background page (Firefox) or by the
+// offscreen document (Chrome, whose service worker cannot start workers).
+//
+// Messages in:  { id, op, args }
+//   op 'load':   read every follow list from IndexedDB into a fresh CSR graph
+//   op 'update': args [lists] - replace some follow lists, [[id, follows[]], ...]
+//   otherwise:   a GraphQueries method (distance, distances, within, path, paths,
+//                followersWithin), prefixed
+//                'mutual.' to run it over reciprocal follows only
+// Messages out: { id, result } or { id, error }
+
+import { CsrAdjacency } from './adjacency.js';
+import { GraphQueries, MutualGraph } from './traversal.js';
+import { readFollowLists } from './storage.js';
+
+const QUERY_OPS = new Set(['distance', 'distances', 'within', 'path', 'paths', 'followersWithin']);
+const MUTUAL_PREFIX = 'mutual.';
+
+const graph = new CsrAdjacency();
+const queries = new GraphQueries(graph);
+const mutualQueries = new GraphQueries(new MutualGraph(graph));
+
+async function handle(op, args) {
+    if (op === 'load') {
+        graph.load(await readFollowLists());
+        queries.reset();
+        mutualQueries.reset();
+        return { maxId: graph.maxId() };
+    }
+
+    if (op === 'update') {
+        graph.update(args[0]);
+        return { version: graph.version() };
+    }
+
+    if (QUERY_OPS.has(op)) {
+        return queries[op](...args);
+    }
+
+    const mutualOp = op.startsWith(MUTUAL_PREFIX) ? op.slice(MUTUAL_PREFIX.length) : null;
+    if (QUERY_OPS.has(mutualOp)) {
+        return mutualQueries[mutualOp](...args);
+    }
+
+    throw new Error(`Unknown graph operation: ${op}`);
+}
+
+// Messages are handled strictly in order, so a query never overtakes a pending load
+let previous = Promise.resolve();
+
+self.onmessage = (event) => {
+    const { id, op, args = [] } = event.data;
+    previous = previous.then(async () => {
+        try {
+            self.postMessage({ id, result: await handle(op, args) });
+        } catch (e) {
+            self.postMessage({ id, error: e.message });
+        }
+    });
+};
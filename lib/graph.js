@@ -1,21 +1,70 @@
 import * as storage from './storage.js';
+import { GraphQueries, MutualGraph } from './traversal.js';
+
+// The in-memory caches in storage.js as a traversal graph (see traversal.js)
+const storageGraph = {
+    follows: storage.getFollowIdsSync,
+    followers: storage.getFollowerIdsSync,
+    version: storage.getFollowsVersion,
+    changesSince: storage.getFollowChangesSince,
+    maxId: storage.getMaxId,
+    complete: storage.followListsComplete,
+    hasFollowerIndex: storage.hasFollowerIndex
+};
 
 export class LocalGraph {
     constructor() {
         this.ready = storage.initDB();
+        this.queries = new GraphQueries(storageGraph);
+        this.mutualQueries = new GraphQueries(new MutualGraph(storageGraph));
+        this.worker = null; // GraphWorkerClient running traversals off this thread
+        this.indexedSources = new Set();
+        this.indexMaxHops = 0;
     }
 
     async ensureReady() {
         await this.ready;
     }
 
-    async getDistance(from, to, maxHops = 6) {
-        const result = await this.getDistanceInfo(from, to, maxHops);
+    // Keep hop/path-count tables from these sources (e.g. my pubkey or the trust
+    // anchors) up to maxHops, so queries from them are lookups instead of a BFS.
+    // Tables are built on first use and repaired after follow lists change.
+    indexSources(sources, maxHops) {
+        this.indexedSources = new Set(sources);
+        this.indexMaxHops = maxHops;
+    }
+
+    // Run traversals in a GraphWorkerClient instead of on the calling thread
+    useWorker(worker) {
+        this.worker = worker;
+    }
+
+    // Run a GraphQueries method, in the worker if there is one. A lazily loaded
+    // graph stays on this thread, where missing lists are paged in and the query rerun.
+    // options.mutualOnly: only walk edges where both accounts follow each other
+    async _query(op, args, options = {}) {
+        if (this.worker && !storage.isLazyGraph()) {
+            return this.worker.run(options.mutualOnly ? `mutual.${op}` : op, args);
+        }
+        const queries = options.mutualOnly ? this.mutualQueries : this.queries;
+        return storage.withFollowLists(() => queries[op](...args));
+    }
+
+    // Index depth to request for queries from `from` (0 = not indexed).
+    // The indexes cover one-way follows only.
+    _indexHops(from, options = {}) {
+        if (options.mutualOnly) return 0;
+        return this.indexedSources.has(from) ? this.indexMaxHops : 0;
+    }
+
+    // options: { mutualOnly } - see _query; the same for the distance and path methods below
+    async getDistance(from, to, maxHops = 6, options = {}) {
+        const result = await this.getDistanceInfo(from, to, maxHops, options);
         return result ? result.hops : null;
     }
 
-    // Optimized BFS using sync memory lookups
-    async getDistanceInfo(from, to, maxHops = 6) {
+    // Hops and number of shortest paths from `from` to `to`: { hops, paths } or null
+    async getDistanceInfo(from, to, maxHops = 6, options = {}) {
         await this.ensureReady();
 
         if (from === to) return { hops: 0, paths: 1 };
@@ -26,57 +75,12 @@ export class LocalGraph {
 
         if (fromId === null || toId === null) return null;
 
-        // BFS with path counting - all lookups are sync from memory
-        const pathCount = new Map();
-        pathCount.set(fromId, 1);
-
-        const visited = new Set([fromId]);
-        let frontier = [fromId];
-        let hops = 0;
-        let targetPaths = 0;
-        let foundAtHop = null;
-
-        while (frontier.length > 0 && hops < maxHops) {
-            hops++;
-            const nextFrontier = [];
-            const nextPathCount = new Map();
-
-            // Process entire frontier - all sync lookups
-            for (const nodeId of frontier) {
-                const currentPaths = pathCount.get(nodeId) || 1;
-                // SYNC lookup from memory cache
-                const followIds = storage.getFollowIdsSync(nodeId);
-
-                for (let i = 0; i < followIds.length; i++) {
-                    const followedId = followIds[i];
-
-                    if (followedId === toId) {
-                        targetPaths += currentPaths;
-                        foundAtHop = hops;
-                    } else if (!visited.has(followedId) && foundAtHop === null) {
-                        visited.add(followedId);
-                        nextFrontier.push(followedId);
-                        nextPathCount.set(followedId, (nextPathCount.get(followedId) || 0) + currentPaths);
-                    }
-                }
-            }
-
-            if (foundAtHop !== null) {
-                return { hops: foundAtHop, paths: targetPaths };
-            }
-
-            frontier = nextFrontier;
-            for (const [nodeId, count] of nextPathCount) {
-                pathCount.set(nodeId, count);
-            }
-        }
-
-        return null;
+        return this._query('distance', [fromId, toId, maxHops, this._indexHops(from, options)], options);
     }
 
     // Batch distance check for multiple targets
     // includePaths: if true, calculate accurate path counts (slower); if false, paths will be null
-    async getDistancesBatch(from, targets, maxHops = 6, includePaths = false) {
+    async getDistancesBatch(from, targets, maxHops = 6, includePaths = false, options = {}) {
         await this.ensureReady();
 
         const fromId = storage.getId(from);
@@ -84,103 +88,49 @@ export class LocalGraph {
             return new Map(targets.map(t => [t, null]));
         }
 
-        const targetIds = new Map();
         const results = new Map();
+        const known = [];
 
         for (const target of targets) {
-            if (from === target) {
-                results.set(target, { hops: 0, paths: includePaths ? 1 : null });
+            const tid = storage.getId(target);
+            if (tid !== null) {
+                known.push([target, tid]);
             } else {
-                const tid = storage.getId(target);
-                if (tid !== null) {
-                    targetIds.set(tid, target);
-                } else {
-                    results.set(target, null);
-                }
+                results.set(target, null);
             }
         }
 
-        if (targetIds.size === 0) return results;
-
-        // BFS looking for all targets at once
-        const visited = new Set([fromId]);
-        let frontier = [fromId];
-        let hops = 0;
-
-        // Path counting (only when includePaths is true)
-        const pathCount = includePaths ? new Map([[fromId, 1]]) : null;
-        const targetPaths = includePaths ? new Map() : null; // targetId -> accumulated paths
-        const foundAtHop = new Map(); // targetId -> hop level found
-
-        while (frontier.length > 0 && hops < maxHops && targetIds.size > 0) {
-            hops++;
-            const nextFrontier = [];
-            const nextPathCount = includePaths ? new Map() : null;
-
-            for (const nodeId of frontier) {
-                const currentPaths = includePaths ? (pathCount.get(nodeId) || 1) : 0;
-                const followIds = storage.getFollowIdsSync(nodeId);
-
-                for (let i = 0; i < followIds.length; i++) {
-                    const followedId = followIds[i];
-
-                    if (targetIds.has(followedId)) {
-                        if (includePaths) {
-                            // Accumulate paths for this target
-                            targetPaths.set(followedId, (targetPaths.get(followedId) || 0) + currentPaths);
-                            if (!foundAtHop.has(followedId)) {
-                                foundAtHop.set(followedId, hops);
-                            }
-                        } else {
-                            // Without path counting, record immediately
-                            const target = targetIds.get(followedId);
-                            results.set(target, { hops, paths: null });
-                            targetIds.delete(followedId);
-                        }
-                    }
-
-                    if (!visited.has(followedId)) {
-                        visited.add(followedId);
-                        nextFrontier.push(followedId);
-                        if (includePaths) {
-                            nextPathCount.set(followedId, (nextPathCount.get(followedId) || 0) + currentPaths);
-                        }
-                    } else if (includePaths && nextPathCount.has(followedId)) {
-                        // Node already in next frontier, accumulate paths
-                        nextPathCount.set(followedId, nextPathCount.get(followedId) + currentPaths);
-                    }
-                }
-            }
+        if (known.length === 0) return results;
 
-            // After processing entire hop level, finalize found targets (with paths)
-            if (includePaths) {
-                for (const [targetId, hopFound] of foundAtHop) {
-                    if (hopFound === hops && targetIds.has(targetId)) {
-                        const target = targetIds.get(targetId);
-                        results.set(target, { hops, paths: targetPaths.get(targetId) });
-                        targetIds.delete(targetId);
-                    }
-                }
-            }
+        const infos = await this._query('distances', [fromId, known.map(([, tid]) => tid),
+            maxHops, includePaths, this._indexHops(from, options)], options);
+        known.forEach(([target], i) => results.set(target, infos[i]));
+
+        return results;
+    }
+
+    // Distance from the nearest of several trust anchors, one batch BFS per anchor.
+    // Returns Map target -> { hops, paths, anchor } | null; ties go to the earlier anchor,
+    // and paths counts shortest paths from that anchor only.
+    async getDistancesFromAnchors(anchors, targets, maxHops = 6, includePaths = false, options = {}) {
+        await this.ensureReady();
 
-            frontier = nextFrontier;
-            if (includePaths) {
-                for (const [nodeId, count] of nextPathCount) {
-                    pathCount.set(nodeId, count);
+        const results = new Map(targets.map(t => [t, null]));
+        for (const anchor of anchors) {
+            const distances = await this.getDistancesBatch(anchor, targets, maxHops, includePaths, options);
+            for (const [target, info] of distances) {
+                const best = results.get(target);
+                if (info && (!best || info.hops < best.hops)) {
+                    results.set(target, { ...info, anchor });
                 }
             }
         }
 
-        // Mark remaining targets as not found
-        for (const [, target] of targetIds) {
-            results.set(target, null);
-        }
-
         return results;
     }
 
     // Check if target is within maxHops (faster than full distance calc)
-    async isWithinHops(from, to, maxHops = 3) {
+    async isWithinHops(from, to, maxHops = 3, options = {}) {
         await this.ensureReady();
 
         if (from === to) return true;
@@ -190,95 +140,162 @@ export class LocalGraph {
 
         if (fromId === null || toId === null) return false;
 
-        const visited = new Set([fromId]);
-        let frontier = [fromId];
-        let hops = 0;
-
-        while (frontier.length > 0 && hops < maxHops) {
-            hops++;
-            const nextFrontier = [];
+        return this._query('within', [fromId, toId, maxHops, this._indexHops(from, options)], options);
+    }
 
-            for (const nodeId of frontier) {
-                const followIds = storage.getFollowIdsSync(nodeId);
+    // Get an actual path from source to target
+    async getPath(from, to, maxHops = 6, options = {}) {
+        await this.ensureReady();
 
-                for (let i = 0; i < followIds.length; i++) {
-                    const followedId = followIds[i];
+        if (from === to) return [from];
 
-                    if (followedId === toId) return true;
+        const fromId = storage.getId(from);
+        const toId = storage.getId(to);
 
-                    if (!visited.has(followedId)) {
-                        visited.add(followedId);
-                        nextFrontier.push(followedId);
-                    }
-                }
-            }
+        if (fromId === null || toId === null) return null;
 
-            frontier = nextFrontier;
-        }
+        const pathIds = await this._query('path', [fromId, toId, maxHops], options);
+        if (!pathIds) return null;
 
-        return false;
+        // Convert IDs back to pubkeys
+        return pathIds.map(id => storage.getPubkey(id));
     }
 
-    // Get an actual path from source to target
-    async getPath(from, to, maxHops = 6) {
+    // Up to `limit` distinct shortest paths from source to target, as arrays of pubkeys
+    // ([] if not connected within maxHops). nextShortest: fill up with paths one hop
+    // longer once the shortest run out. mutualOnly: see _query.
+    async getPaths(from, to, { limit = 10, maxHops = 6, nextShortest = false, mutualOnly = false } = {}) {
         await this.ensureReady();
 
-        if (from === to) return [from];
+        if (from === to) return [[from]];
 
         const fromId = storage.getId(from);
         const toId = storage.getId(to);
 
-        if (fromId === null || toId === null) return null;
+        if (fromId === null || toId === null) return [];
 
-        // BFS with parent tracking
-        const parent = new Map();
-        parent.set(fromId, null);
+        const paths = await this._query('paths', [fromId, toId, maxHops, limit, nextShortest], { mutualOnly });
+        return paths.map(pathIds => pathIds.map(id => storage.getPubkey(id)));
+    }
 
-        const visited = new Set([fromId]);
-        let frontier = [fromId];
-        let hops = 0;
-        let found = false;
+    // For each target, which of its related pubkeys (followers, muters, reporters) are within
+    // maxHops of `from` (from itself included), using one BFS for all of them.
+    // from: a pubkey or an array of anchor pubkeys (distance to the nearest counts).
+    // related: Map target -> pubkeys. Returns Map target -> Map pubkey -> hops.
+    // options: { mutualOnly } - see _query
+    async _withinHops(from, related, maxHops, options = {}) {
+        const all = new Set();
+        for (const pubkeys of related.values()) {
+            for (const pubkey of pubkeys) all.add(pubkey);
+        }
 
-        while (frontier.length > 0 && hops < maxHops && !found) {
-            hops++;
-            const nextFrontier = [];
+        const anchors = Array.isArray(from) ? from : [from];
+        const distances = all.size > 0
+            ? await this.getDistancesFromAnchors(anchors, [...all], maxHops, false, options)
+            : new Map();
+
+        const result = new Map();
+        for (const [target, pubkeys] of related) {
+            const reachable = new Map();
+            for (const pubkey of pubkeys) {
+                const info = distances.get(pubkey);
+                if (info) reachable.set(pubkey, info.hops);
+            }
+            result.set(target, reachable);
+        }
+        return result;
+    }
 
-            for (const nodeId of frontier) {
-                const followIds = storage.getFollowIdsSync(nodeId);
+    // For each target, its followers within maxHops of `from` (a pubkey or anchor
+    // pubkeys, as in _withinHops). Returns Map target -> Map follower pubkey -> hops.
+    async _followersWithinHops(from, targets, maxHops) {
+        if (!storage.isLazyGraph()) {
+            return this._withinHops(from, await storage.getFollowersBatch(targets), maxHops);
+        }
 
-                for (let i = 0; i < followIds.length; i++) {
-                    const followedId = followIds[i];
+        // The follower index only covers the lists in memory: look for the targets in the
+        // lists within maxHops instead (paged in as needed) of scanning every stored list
+        const anchors = Array.isArray(from) ? from : [from];
+        const sourceIds = anchors.map(anchor => storage.getId(anchor)).filter(id => id !== null);
+        const known = targets.map(target => [target, storage.getId(target)]).filter(([, id]) => id !== null);
+
+        const result = new Map(targets.map(t => [t, new Map()]));
+        if (sourceIds.length === 0 || known.length === 0) return result;
+
+        const found = await this._query('followersWithin', [sourceIds, known.map(([, id]) => id), maxHops]);
+        known.forEach(([target], i) => {
+            const followers = new Map();
+            for (const [followerId, hops] of found[i]) {
+                const pubkey = storage.getPubkey(followerId);
+                if (pubkey) followers.set(pubkey, hops);
+            }
+            result.set(target, followers);
+        });
+        return result;
+    }
 
-                    if (!visited.has(followedId)) {
-                        visited.add(followedId);
-                        parent.set(followedId, nodeId);
+    // Followers of target within maxHops of `from`, nearest first.
+    // Returns [{ pubkey, hops }].
+    async getFollowers(from, target, maxHops = 6) {
+        await this.ensureReady();
 
-                        if (followedId === toId) {
-                            found = true;
-                            break;
-                        }
+        const hops = (await this._followersWithinHops(from, [target], maxHops)).get(target);
+        return [...hops]
+            .map(([pubkey, h]) => ({ pubkey, hops: h }))
+            .sort((a, b) => a.hops - b.hops);
+    }
 
-                        nextFrontier.push(followedId);
-                    }
-                }
-                if (found) break;
-            }
+    // Count, per target, the followers of that target within maxHops of `from`.
+    // Returns Map target -> count.
+    async getFollowerCounts(from, targets, maxHops = 6) {
+        await this.ensureReady();
 
-            frontier = nextFrontier;
-        }
+        const reachable = await this._followersWithinHops(from, targets, maxHops);
+        return new Map([...reachable].map(([target, hops]) => [target, hops.size]));
+    }
 
-        if (!found) return null;
+    // Count, per target, the muters of that target within maxHops of `from`.
+    // Returns Map target -> count. options: { mutualOnly }, as for the next two methods.
+    async getMutedByCounts(from, targets, maxHops = 6, options = {}) {
+        await this.ensureReady();
 
-        // Reconstruct path
-        const pathIds = [];
-        let current = toId;
-        while (current !== null) {
-            pathIds.unshift(current);
-            current = parent.get(current);
+        const muters = new Map(targets.map(t => [t, storage.getMutedBy(t)]));
+        const reachable = await this._withinHops(from, muters, maxHops, options);
+        return new Map([...reachable].map(([target, hops]) => [target, hops.size]));
+    }
+
+    // Count, per target, the distinct reporters of that target within maxHops of `from`.
+    // Returns Map target -> count.
+    async getReportedByCounts(from, targets, maxHops = 6, options = {}) {
+        await this.ensureReady();
+
+        const reporters = new Map(targets.map(t => [t, [...new Set(storage.getReports(t).map(r => r.reporter))]]));
+        const reachable = await this._withinHops(from, reporters, maxHops, options);
+        return new Map([...reachable].map(([target, hops]) => [target, hops.size]));
+    }
+
+    // Reports against target by pubkeys within maxHops of `from`:
+    // { count, byType: { type: reporters }, reporterHops: { hops: reporters } }
+    async getReportSummary(from, target, maxHops = 6, options = {}) {
+        await this.ensureReady();
+
+        const reports = storage.getReports(target);
+        const reporters = new Map([[target, [...new Set(reports.map(r => r.reporter))]]]);
+        const hops = (await this._withinHops(from, reporters, maxHops, options)).get(target);
+
+        const byType = {};
+        for (const report of reports) {
+            if (hops.has(report.reporter)) {
+                byType[report.type] = (byType[report.type] || 0) + 1;
+            }
         }
 
-        // Convert IDs back to pubkeys
-        return pathIds.map(id => storage.getPubkey(id));
+        const reporterHops = {};
+        for (const h of hops.values()) {
+            reporterHops[h] = (reporterHops[h] || 0) + 1;
+        }
+
+        return { count: hops.size, byType, reporterHops };
     }
 
     // Get follows for a pubkey (from local graph)
@@ -287,6 +304,19 @@ export class LocalGraph {
         return storage.getFollows(pubkey);
     }
 
+    // Whether follower's stored follow list contains followed, or null if it has none
+    async isFollowing(follower, followed) {
+        await this.ensureReady();
+
+        const followerId = storage.getId(follower);
+        if (followerId === null || !(await storage.hasFollows(follower))) return null;
+
+        const followedId = storage.getId(followed);
+        if (followedId === null) return false;
+
+        return storage.withFollowLists(() => storage.getFollowIdsSync(followerId).includes(followedId));
+    }
+
     // Get common follows between user and target
     async getCommonFollows(from, to) {
         await this.ensureReady();
@@ -296,8 +326,10 @@ export class LocalGraph {
 
         if (fromId === null || toId === null) return [];
 
-        const fromFollows = storage.getFollowIdsSync(fromId);
-        const toFollows = storage.getFollowIdsSync(toId);
+        const [fromFollows, toFollows] = await storage.withFollowLists(() => [
+            storage.getFollowIdsSync(fromId),
+            storage.getFollowIdsSync(toId)
+        ]);
 
         // Convert to Set for O(1) lookup
         const toFollowsSet = new Set(toFollows);
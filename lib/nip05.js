@@ -0,0 +1,164 @@
+import * as storage from './storage.js';
+
+const DEFAULT_TIMEOUT = 5000; // Time to wait for a nostr.json response
+const VERIFIED_TTL = 24 * 60 * 60 * 1000; // Re-check verified identifiers daily
+const FAILED_TTL = 60 * 60 * 1000; // Retry mismatches and errors after an hour
+
+const NAME_PATTERN = /^[a-z0-9._-]+$/;
+const DOMAIN_LABEL = /^[a-z0-9-]+$/;
+const NUMERIC_LABEL = /^(0x[0-9a-f]*|\d+)$/; // URL parsers read a host ending in one as IPv4
+
+// Split a NIP-05 identifier into { name, domain } (lowercased), or null if malformed.
+// A bare domain is treated as _@domain.
+export function parseNip05(identifier) {
+    if (typeof identifier !== 'string') return null;
+
+    const value = identifier.trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    const name = at === -1 ? '_' : value.slice(0, at);
+    const domain = at === -1 ? value : value.slice(at + 1);
+
+    if (!NAME_PATTERN.test(name) || !isPublicDomain(domain)) {
+        return null;
+    }
+    return { name, domain };
+}
+
+// Host names only: no ports, IP literals or localhost, which would let any profile
+// point the lookup at the user's own machine or network
+function isPublicDomain(domain) {
+    const labels = domain.split('.');
+    if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) return false;
+
+    const tld = labels[labels.length - 1];
+    return !NUMERIC_LABEL.test(tld) && tld !== 'localhost';
+}
+
+function defaultUrl(name, domain) {
+    return `https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`;
+}
+
+// Resolver that asks the domain's /.well-known/nostr.json.
+// options.fetch and options.url replace the global fetch and the nostr.json URL.
+// The returned function resolves (name, domain) to a hex pubkey, or null if the
+// name is not listed; it throws on network or format errors.
+export function createHttpResolver(options = {}) {
+    const fetchFn = options.fetch || ((...args) => fetch(...args));
+    const buildUrl = options.url || defaultUrl;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    return async (name, domain) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            // NIP-05: redirects must not be followed
+            const res = await fetchFn(buildUrl(name, domain), {
+                redirect: 'error',
+                signal: controller.signal
+            });
+
+            if (!res.ok) {
+                if (res.status === 404) return null;
+                throw new Error(`NIP-05 error: ${res.status}`);
+            }
+
+            const data = await res.json();
+            if (typeof data !== 'object' || data === null || typeof data.names !== 'object' || data.names === null) {
+                throw new Error('Invalid nostr.json: names must be an object');
+            }
+
+            const pubkey = data.names[name];
+            if (typeof pubkey !== 'string' || !/^[a-f0-9]{64}$/i.test(pubkey)) {
+                return null;
+            }
+            return pubkey.toLowerCase();
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+}
+
+// Resolves and verifies NIP-05 identifiers, caching lookups in IndexedDB.
+// options.resolver: (name, domain) => Promise<pubkey|null>, defaults to createHttpResolver()
+export class Nip05Verifier {
+    constructor(options = {}) {
+        this.resolver = options.resolver || createHttpResolver(options);
+        this.verifiedTtl = options.verifiedTtl ?? VERIFIED_TTL;
+        this.failedTtl = options.failedTtl ?? FAILED_TTL;
+        this.inFlight = new Map(); // identifier -> Promise<record>
+    }
+
+    // Cached lookup: { identifier, pubkey, checkedAt, error? }, or null if malformed
+    async lookup(identifier) {
+        const parsed = parseNip05(identifier);
+        if (!parsed) return null;
+
+        const key = `${parsed.name}@${parsed.domain}`;
+        const cached = await storage.getNip05Record(key);
+        if (cached && !this._isStale(cached)) {
+            return cached;
+        }
+
+        // Share one request between concurrent callers
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = (async () => {
+            const record = { identifier: key, pubkey: null, checkedAt: Date.now() };
+            try {
+                record.pubkey = await this.resolver(parsed.name, parsed.domain);
+            } catch (e) {
+                record.error = e.message;
+            }
+            await storage.saveNip05Record(record);
+            return record;
+        })();
+
+        this.inFlight.set(key, promise);
+        try {
+            return await promise;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    // Pubkey an identifier points to, or null
+    async resolve(identifier) {
+        const record = await this.lookup(identifier);
+        return record?.pubkey ?? null;
+    }
+
+    // Whether identifier points back to pubkey: { identifier, verified, checkedAt }
+    async verify(pubkey, identifier) {
+        return verificationStatus(pubkey, identifier, await this.lookup(identifier));
+    }
+
+    // Like verify, from the cache alone (never fetches): verified is null when the
+    // identifier was never checked, and stale is true when a lookup is due
+    async cachedStatus(pubkey, identifier) {
+        const parsed = parseNip05(identifier);
+        if (!parsed) {
+            return { identifier, verified: false, checkedAt: null, stale: false };
+        }
+
+        const record = await storage.getNip05Record(`${parsed.name}@${parsed.domain}`);
+        if (!record) {
+            return { identifier, verified: null, checkedAt: null, stale: true };
+        }
+        return { ...verificationStatus(pubkey, identifier, record), stale: this._isStale(record) };
+    }
+
+    _isStale(record) {
+        return Date.now() - record.checkedAt >= (record.pubkey ? this.verifiedTtl : this.failedTtl);
+    }
+}
+
+function verificationStatus(pubkey, identifier, record) {
+    return {
+        identifier,
+        verified: !!record?.pubkey && record.pubkey === pubkey,
+        checkedAt: record?.checkedAt ?? null
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Personalized PageRank over the local follow graph
+ *
+ * A random walk that follows a random follow with probability DAMPING and
+ * otherwise restarts at a trust anchor. A pubkey's rank is the share of time the
+ * walk spends on it, so one reached through many well-followed bridges ranks
+ * above one reached through a single follow at the same distance.
+ *
+ * Ranks are turned into percentiles among the reached (non-anchor) pubkeys:
+ * 1.0 for the highest-ranked, approaching 0 for the lowest. They are persisted
+ * in the 'pageRank' meta and recomputed in the background when a sync finished
+ * after them.
+ */
+
+import * as storage from './storage.js';
+
+const DAMPING = 0.85; // Probability of following an edge rather than restarting
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6; // L1 change between iterations that counts as converged
+const YIELD_INTERVAL = 5; // Iterations between yields to the event loop
+
+export class PersonalizedPageRank {
+    constructor() {
+        this.anchorsKey = null; // Anchors the cached percentiles belong to
+        this.computedAt = null;
+        this.percentiles = new Map(); // id -> rank percentile (0-1]
+        this.loaded = false;
+        this.computing = null;
+    }
+
+    // Make sure percentiles for anchors are in memory: load the persisted ones, or
+    // compute them. Only a first computation for these anchors is waited for;
+    // percentiles older than the last sync are served while a recompute runs in
+    // the background, so a score query does not wait for a whole power iteration.
+    async ensureFor(anchors) {
+        const key = anchorsKey(anchors);
+
+        if (!this.loaded) {
+            await this.load();
+        }
+        if (this.anchorsKey !== key) {
+            if (this.computing) await this.computing;
+            if (this.anchorsKey !== key) await this.compute(anchors);
+            return;
+        }
+
+        const lastSync = await storage.getMeta('lastSync') || 0;
+        if (this.computedAt < lastSync && !this.computing) {
+            this.compute(anchors).catch(() => {
+                // Tried again on the next call
+            });
+        }
+    }
+
+    async load() {
+        this.loaded = true;
+        const cached = await storage.getMeta('pageRank');
+        if (!cached) return;
+
+        this.anchorsKey = cached.anchorsKey;
+        this.computedAt = cached.computedAt;
+        this.percentiles = new Map();
+        for (let i = 0; i < cached.ids.length; i++) {
+            this.percentiles.set(cached.ids[i], cached.percentiles[i]);
+        }
+    }
+
+    // Recompute percentiles for anchors and persist them; concurrent calls share one run
+    compute(anchors) {
+        if (!this.computing) {
+            this.computing = this._compute(anchors).finally(() => {
+                this.computing = null;
+            });
+        }
+        return this.computing;
+    }
+
+    async _compute(anchors) {
+        const computedAt = Date.now();
+        const anchorIds = [...new Set(anchors.map(a => storage.getId(a)).filter(id => id !== null))];
+
+        // Index every pubkey reachable from the anchors, keeping their follow lists
+        // (a lazily loaded graph pages them in as they are reached)
+        const { index, ids, lists } = await storage.withFollowLists(() => {
+            const index = new Map();
+            const ids = [];
+            const lists = [];
+            for (const id of anchorIds) {
+                index.set(id, ids.length);
+                ids.push(id);
+            }
+            for (let i = 0; i < ids.length; i++) {
+                const followIds = storage.getFollowIdsSync(ids[i]);
+                lists.push(followIds);
+                for (let j = 0; j < followIds.length; j++) {
+                    if (!index.has(followIds[j])) {
+                        index.set(followIds[j], ids.length);
+                        ids.push(followIds[j]);
+                    }
+                }
+            }
+            return { index, ids, lists };
+        });
+
+        // Compact adjacency (CSR) so iterations avoid Map lookups
+        const n = ids.length;
+        const offsets = new Uint32Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            offsets[i + 1] = offsets[i] + lists[i].length;
+        }
+        const edges = new Uint32Array(offsets[n]);
+        for (let i = 0; i < n; i++) {
+            const followIds = lists[i];
+            for (let j = 0; j < followIds.length; j++) {
+                edges[offsets[i] + j] = index.get(followIds[j]);
+            }
+        }
+
+        // Power iteration; pubkeys without a stored list send their walk back to the anchors
+        let rank = new Float64Array(n);
+        for (let a = 0; a < anchorIds.length; a++) {
+            rank[a] = 1 / anchorIds.length;
+        }
+
+        for (let iteration = 1; iteration <= MAX_ITERATIONS && anchorIds.length > 0; iteration++) {
+            const next = new Float64Array(n);
+            let dangling = 0;
+
+            for (let u = 0; u < n; u++) {
+                const mass = rank[u];
+                if (mass === 0) continue;
+
+                const degree = offsets[u + 1] - offsets[u];
+                if (degree === 0) {
+                    dangling += mass;
+                    continue;
+                }
+
+                const share = DAMPING * mass / degree;
+                for (let e = offsets[u]; e < offsets[u + 1]; e++) {
+                    next[edges[e]] += share;
+                }
+            }
+
+            const restart = ((1 - DAMPING) + DAMPING * dangling) / anchorIds.length;
+            for (let a = 0; a < anchorIds.length; a++) {
+                next[a] += restart;
+            }
+
+            let change = 0;
+            for (let u = 0; u < n; u++) {
+                change += Math.abs(next[u] - rank[u]);
+            }
+            rank = next;
+            if (change < TOLERANCE) break;
+
+            if (iteration % YIELD_INTERVAL === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        // Percentile among reached pubkeys; ties share the lower position
+        const order = [];
+        for (let u = anchorIds.length; u < n; u++) {
+            order.push(u);
+        }
+        order.sort((a, b) => rank[a] - rank[b]);
+
+        const reachedIds = new Uint32Array(order.length);
+        const percentiles = new Float32Array(order.length);
+        let position = 0;
+        for (let i = 0; i < order.length; i++) {
+            if (i > 0 && rank[order[i]] > rank[order[i - 1]]) {
+                position = i;
+            }
+            reachedIds[i] = ids[order[i]];
+            percentiles[i] = (position + 1) / order.length;
+        }
+
+        this.anchorsKey = anchorsKey(anchors);
+        this.computedAt = computedAt;
+        this.percentiles = new Map();
+        for (let i = 0; i < reachedIds.length; i++) {
+            this.percentiles.set(reachedIds[i], percentiles[i]);
+        }
+        this.loaded = true;
+
+        await storage.setMeta('pageRank', {
+            anchorsKey: this.anchorsKey,
+            computedAt,
+            ids: reachedIds,
+            percentiles
+        });
+    }
+
+    // Rank percentile of pubkey, or null if the walk never reaches it (or it is an anchor)
+    getScore(pubkey) {
+        const id = storage.getId(pubkey);
+        if (id === null) return null;
+        return this.percentiles.get(id) ?? null;
+    }
+
+    // Forget the in-memory percentiles (e.g. after the graph was cleared)
+    invalidate() {
+        this.anchorsKey = null;
+        this.computedAt = null;
+        this.percentiles = new Map();
+        this.loaded = false;
+    }
+}
+
+function anchorsKey(anchors) {
+    return [...anchors].sort().join(',');
+}
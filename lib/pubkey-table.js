@@ -0,0 +1,159 @@
+/**
+ * Pubkey <-> numeric id table with binary keys
+ *
+ * Each pubkey is kept as 32 raw bytes at keys[id * 32] instead of a 64-char
+ * string in two Maps, and found again through an open-addressing hash of
+ * those bytes. Keys that are not lowercase hex (never valid pubkeys, but they
+ * can turn up in follow lists) go to a plain Map so lookups stay exact.
+ */
+
+const KEY_BYTES = 32;
+const INITIAL_IDS = 1024;
+
+const HEX = Array.from({ length: 256 }, (_, b) => b.toString(16).padStart(2, '0'));
+
+export class PubkeyTable {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.keys = new Uint8Array(INITIAL_IDS * KEY_BYTES);
+        this.present = new Uint8Array(INITIAL_IDS); // 1 = id has a binary key
+        this.slots = new Uint32Array(INITIAL_IDS * 2); // hash slot -> id, 0 = empty
+        this.binaryCount = 0;
+        this.otherToId = new Map(); // Keys that are not lowercase hex
+        this.idToOther = new Map();
+        this.scratch = new Uint8Array(KEY_BYTES);
+    }
+
+    get size() {
+        return this.binaryCount + this.otherToId.size;
+    }
+
+    // Id of pubkey, or null
+    get(pubkey) {
+        if (!parseKey(pubkey, this.scratch)) {
+            return this.otherToId.get(pubkey) ?? null;
+        }
+
+        const mask = this.slots.length - 1;
+        for (let slot = hashKey(this.scratch, 0) & mask; this.slots[slot] !== 0; slot = (slot + 1) & mask) {
+            if (this._keyEquals(this.slots[slot], this.scratch)) {
+                return this.slots[slot];
+            }
+        }
+        return null;
+    }
+
+    // Pubkey of id, or null
+    getPubkey(id) {
+        if (id < this.present.length && this.present[id] === 1) {
+            let pubkey = '';
+            for (let i = id * KEY_BYTES, end = i + KEY_BYTES; i < end; i++) {
+                pubkey += HEX[this.keys[i]];
+            }
+            return pubkey;
+        }
+        return this.idToOther.get(id) ?? null;
+    }
+
+    // Map pubkey to id (ids are small positive integers, 0 is never used)
+    set(pubkey, id) {
+        if (!parseKey(pubkey, this.scratch)) {
+            this.otherToId.set(pubkey, id);
+            this.idToOther.set(id, pubkey);
+            return;
+        }
+
+        this._ensureId(id);
+        this.keys.set(this.scratch, id * KEY_BYTES);
+
+        // The same key stored again under a new id: the later id wins, as with a Map
+        const mask = this.slots.length - 1;
+        let slot = hashKey(this.scratch, 0) & mask;
+        for (; this.slots[slot] !== 0; slot = (slot + 1) & mask) {
+            if (this._keyEquals(this.slots[slot], this.scratch)) break;
+        }
+        if (this.slots[slot] === 0) {
+            this.binaryCount++;
+        }
+        this.slots[slot] = id;
+        this.present[id] = 1;
+
+        // Keep the hash table at most half full
+        if (this.binaryCount * 2 > this.slots.length) {
+            this._rehash(this.slots.length * 2);
+        }
+    }
+
+    // Approximate memory held, in bytes
+    byteSize() {
+        return this.keys.byteLength + this.present.byteLength + this.slots.byteLength +
+            this.otherToId.size * 2 * (64 + 4);
+    }
+
+    _keyEquals(id, key) {
+        const offset = id * KEY_BYTES;
+        for (let i = 0; i < KEY_BYTES; i++) {
+            if (this.keys[offset + i] !== key[i]) return false;
+        }
+        return true;
+    }
+
+    _ensureId(id) {
+        if (id < this.present.length) return;
+
+        let capacity = this.present.length;
+        while (capacity <= id) capacity *= 2;
+
+        const keys = new Uint8Array(capacity * KEY_BYTES);
+        keys.set(this.keys);
+        const present = new Uint8Array(capacity);
+        present.set(this.present);
+        this.keys = keys;
+        this.present = present;
+    }
+
+    _rehash(size) {
+        const slots = new Uint32Array(size);
+        const mask = size - 1;
+        for (let slot = 0; slot < this.slots.length; slot++) {
+            const id = this.slots[slot];
+            if (id === 0) continue;
+
+            let target = hashKey(this.keys, id * KEY_BYTES) & mask;
+            while (slots[target] !== 0) target = (target + 1) & mask;
+            slots[target] = id;
+        }
+        this.slots = slots;
+    }
+}
+
+// Parse 64 lowercase hex chars into out; false if pubkey is anything else
+function parseKey(pubkey, out) {
+    if (typeof pubkey !== 'string' || pubkey.length !== KEY_BYTES * 2) return false;
+
+    for (let i = 0; i < KEY_BYTES; i++) {
+        const high = hexValue(pubkey.charCodeAt(i * 2));
+        const low = hexValue(pubkey.charCodeAt(i * 2 + 1));
+        if (high < 0 || low < 0) return false;
+        out[i] = (high << 4) | low;
+    }
+    return true;
+}
+
+function hexValue(code) {
+    if (code >= 48 && code <= 57) return code - 48; // 0-9
+    if (code >= 97 && code <= 102) return code - 87; // a-f
+    return -1;
+}
+
+// FNV-1a over the whole key: vanity pubkeys share their leading bytes
+function hashKey(bytes, offset) {
+    let hash = 0x811c9dc5;
+    for (let i = offset, end = offset + KEY_BYTES; i < end; i++) {
+        hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+    return hash >>> 0;
+}
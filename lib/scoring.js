@@ -2,16 +2,29 @@
  * Centralized trust score calculation
  *
  * Formula: score = base + pathBonus (capped at maxPathBonus)
+ *                - mutePenalty (capped at maxMutePenalty)
+ *                - reportPenalty (capped at maxReportPenalty)
  *
  * Where:
  * - base: base score per hop distance (1 hop = 100%, 2 hops = 50%, etc.)
  * - pathBonus: bonus based on number of shortest paths, capped at maxPathBonus
+ * - mutePenalty: penalty per pubkey in the trusted network that mutes the target
+ * - reportPenalty: penalty per pubkey in the trusted network that reported the
+ *   target (NIP-56); off by default
+ *
+ * With algorithm 'pagerank', base + pathBonus is replaced by the target's
+ * personalized PageRank percentile (see lib/pagerank.js); penalties still apply.
  */
 
 export const DEFAULT_SCORING = {
+    algorithm: 'distance', // 'distance' | 'pagerank'
     distanceWeights: { 1: 1.0, 2: 0.5, 3: 0.25, 4: 0.1 },
     pathBonus: { 2: 0.15, 3: 0.1, 4: 0.05 },
-    maxPathBonus: 0.5
+    maxPathBonus: 0.5,
+    mutePenalty: 0.1,
+    maxMutePenalty: 0.5,
+    reportPenalty: 0,
+    maxReportPenalty: 0.5
 };
 
 /**
@@ -20,9 +33,12 @@ export const DEFAULT_SCORING = {
  * @param {number} hops - Number of hops (0 = self, 1 = direct follow, etc.)
  * @param {number|null} paths - Number of shortest paths (null if unknown)
  * @param {object} scoring - Scoring configuration
+ * @param {object} [signals] - Negative signals about the target
+ * @param {number} [signals.mutedBy] - Muters of the target within the trusted network
+ * @param {number} [signals.reportedBy] - Reporters of the target within the trusted network
  * @returns {number} Score between 0 and 1
  */
-export function calculateScore(hops, paths, scoring = DEFAULT_SCORING) {
+export function calculateScore(hops, paths, scoring = DEFAULT_SCORING, signals = {}) {
     // Self = maximum trust
     if (hops === 0) return 1.0;
 
@@ -50,13 +66,51 @@ export function calculateScore(hops, paths, scoring = DEFAULT_SCORING) {
         bonus = Math.min(pathBonusValue * (paths - 1), maxPathBonus ?? 0.5);
     }
 
-    // Final score: base + pathBonus (capped)
-    const score = base + bonus;
+    // Final score: base + pathBonus (capped) - penalties (capped)
+    const score = base + bonus - calculatePenalty(scoring, signals);
 
     // Clamp to [0, 1]
     return Math.min(Math.max(score, 0), 1);
 }
 
+/**
+ * Calculate trust score from a personalized PageRank percentile
+ *
+ * @param {number} hops - Number of hops (0 = self, 1 = direct follow, etc.)
+ * @param {number|null} rank - PageRank percentile of the target (0-1), null if unranked
+ * @param {object} scoring - Scoring configuration
+ * @param {object} [signals] - Negative signals about the target (see calculateScore)
+ * @returns {number} Score between 0 and 1
+ */
+export function calculateRankScore(hops, rank, scoring = DEFAULT_SCORING, signals = {}) {
+    // Self = maximum trust
+    if (hops === 0) return 1.0;
+
+    // Not connected
+    if (hops === null || hops === undefined || rank === null) return 0;
+
+    const score = rank - calculatePenalty(scoring, signals);
+    return Math.min(Math.max(score, 0), 1);
+}
+
+// Mute and report penalties, each capped separately
+function calculatePenalty(scoring, signals) {
+    // Mute penalty: per muter in the network, capped at maxMutePenalty
+    let penalty = 0;
+    if (signals.mutedBy > 0) {
+        const perMuter = scoring.mutePenalty ?? DEFAULT_SCORING.mutePenalty;
+        penalty = Math.min(perMuter * signals.mutedBy, scoring.maxMutePenalty ?? DEFAULT_SCORING.maxMutePenalty);
+    }
+
+    // Report penalty: per reporter in the network, capped at maxReportPenalty
+    if (signals.reportedBy > 0) {
+        const perReporter = scoring.reportPenalty ?? DEFAULT_SCORING.reportPenalty;
+        penalty += Math.min(perReporter * signals.reportedBy, scoring.maxReportPenalty ?? DEFAULT_SCORING.maxReportPenalty);
+    }
+
+    return penalty;
+}
+
 /**
  * Get a human-readable trust level from score
  *
@@ -1,22 +1,66 @@
+import { CsrAdjacency } from './adjacency.js';
+import { PubkeyTable } from './pubkey-table.js';
+
 const DB_NAME = 'nostr-wot';
-const DB_VERSION = 2;
+const DB_VERSION = 8;
 
 let db = null;
 
 // In-memory caches
-let pubkeyToId = new Map();
-let idToPubkey = new Map();
+const pubkeyTable = new PubkeyTable(); // pubkey <-> id, 32-byte binary keys
 let nextId = 1;
 
-// In-memory graph (adjacency list) - loaded on init for fast traversal
-let graphCache = new Map(); // id -> Uint32Array of follow IDs
+// In-memory graph (CSR adjacency) - loaded on init for fast traversal. Also keeps the
+// follower index and the journal of changed lists read by derived indexes
+// (LocalGraph distance index, graph worker).
+const followGraph = new CsrAdjacency();
+let createdAtCache = new Map(); // id -> created_at of the stored kind-3 event
 let graphLoaded = false;
 
+// Lazy graph loading (see configureGraphLoading): followGraph only holds the lists
+// within EAGER_HOPS of the roots; other stored lists are read from IndexedDB when a
+// traversal asks for them and kept in an LRU
+const EAGER_HOPS = 2;
+const PAGED_LIST_LIMIT = 50000; // Paged-in lists kept while no traversal is running
+const STORED_LIST_PAGE = 5000; // Records per read when scanning every stored list
+let lazyGraph = false;
+let eagerRoots = []; // Pubkeys the eager hops are counted from
+let storedLists = new Uint8Array(0); // 1 = a follow list is stored for id (lazy mode)
+let storedListCount = 0;
+let pagedLists = new Map(); // id -> Uint32Array, least recently used first
+let missingLists = new Set(); // Stored lists asked for since the last withFollowLists run
+let activeReaders = 0; // Running withFollowLists calls; nothing is evicted meanwhile
+let graphLoadMode = null; // getGraphLoadMode() of the last graph load started
+let storedEdgeCount = null; // Follow edges in IndexedDB (lazy mode), null until counted
+let edgeCountChanges = 0; // Bumped whenever stored lists change, so a count taken meanwhile is not kept
+let edgeCountScan = null; // Promise of the count in progress
+let graphLoadQueue = Promise.resolve();
+
+// NIP-65 relay lists - id -> { write: string[], createdAt, checkedAt }
+let relayListCache = new Map();
+
+// Public mute lists (kind 10000) - id -> { mutes: Uint32Array, createdAt }
+let muteCache = new Map();
+let mutedByCache = new Map(); // muted id -> Set of muter ids
+
+// NIP-56 reports (kind 1984) - reported id -> Map reporter id -> Map type -> createdAt
+let reportCache = new Map();
+let reportTimeCache = new Map(); // reporter id -> created_at of their newest stored report
+let reportCount = 0;
+
+// Profiles (kind 0) live in IndexedDB only; memory keeps id -> created_at
+let profileTimeCache = new Map();
+
+// Outcome of the last follow list fetch per id: { status, attempts, retryAt }
+// (relays and timestamps stay in IndexedDB)
+let fetchStatusCache = new Map();
+
 // Write buffer for batching
 const writeBuffer = [];
 const WRITE_BUFFER_SIZE = 100;
 let writeFlushTimer = null;
 let writeFlushInProgress = false;
+let writeFlushPromise = null; // Write transaction of the flush in progress
 
 // Pubkey ID write buffer - batch new ID mappings
 const pubkeyWriteBuffer = [];
@@ -24,6 +68,21 @@ const PUBKEY_BUFFER_SIZE = 500;
 let pubkeyFlushTimer = null;
 let pubkeyFlushInProgress = false;
 
+const SYNC_HISTORY_LIMIT = 20; // Entries kept in the 'syncHistory' meta
+const NOT_FOUND_RETRY = 6 * 60 * 60 * 1000; // First retry after relays had no follow list
+const ERROR_RETRY = 10 * 60 * 1000; // First retry after no relay could answer
+const MAX_RETRY = 7 * 24 * 60 * 60 * 1000; // Cap on the doubling retry delay
+const RELAY_LIST_REFRESH = 7 * 24 * 60 * 60 * 1000; // Re-check a known relay list after a week
+const RELAY_LIST_RETRY = 6 * 60 * 60 * 1000; // Re-ask for a relay list relays did not have
+
+// Per-connection counters summed into the 'relayStats' meta (see addRelayStats)
+const RELAY_COUNTERS = [
+    'requests', 'successes', 'errors', 'timeouts', 'notices', 'closed',
+    'events', 'rejected', 'responses', 'responseMsTotal'
+];
+const RELAY_STATS_LIMIT = 100; // Other relays (authors' outbox relays) kept in 'relayStats', most recent first
+const RELAY_STATS_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Drop other relays not tried for this long
+
 export async function initDB() {
     if (db) return db;
 
@@ -35,6 +94,11 @@ export async function initDB() {
             db = request.result;
             await loadPubkeyCache();
             await loadGraphCache();
+            await loadRelayListCache();
+            await loadMuteCache();
+            await loadReportCache();
+            await loadProfileTimes();
+            await loadFetchStatusCache();
             resolve(db);
         };
 
@@ -62,6 +126,63 @@ export async function initDB() {
                     database.deleteObjectStore('follows');
                 }
             }
+
+            if (oldVersion < 3) {
+                // NIP-65 relay lists: { id: number, write: string[], created_at: number }
+                if (!database.objectStoreNames.contains('relay_lists')) {
+                    database.createObjectStore('relay_lists', { keyPath: 'id' });
+                }
+            }
+
+            if (oldVersion < 4) {
+                // Public mute lists: { id: number, mutes: ArrayBuffer, created_at: number }
+                if (!database.objectStoreNames.contains('mutes')) {
+                    database.createObjectStore('mutes', { keyPath: 'id' });
+                }
+            }
+
+            if (oldVersion < 5) {
+                // NIP-56 reports, one per reporter/target/type: { reporter, target, type, created_at }
+                if (!database.objectStoreNames.contains('reports')) {
+                    database.createObjectStore('reports', { keyPath: ['reporter', 'target', 'type'] });
+                }
+            }
+
+            if (oldVersion < 6) {
+                // Kind-0 profiles: { id, name, displayName, picture, nip05, created_at }
+                if (!database.objectStoreNames.contains('profiles')) {
+                    database.createObjectStore('profiles', { keyPath: 'id' });
+                }
+            }
+
+            if (oldVersion < 7) {
+                // NIP-05 lookups: { identifier, pubkey, checkedAt, error? }
+                if (!database.objectStoreNames.contains('nip05')) {
+                    database.createObjectStore('nip05', { keyPath: 'identifier' });
+                }
+            }
+
+            if (oldVersion < 8) {
+                // Follow list fetch outcomes:
+                // { id, status: 'found'|'not_found'|'error', created_at, relays, checked_at, attempts, retry_at }
+                if (!database.objectStoreNames.contains('fetch_status')) {
+                    database.createObjectStore('fetch_status', { keyPath: 'id' });
+                }
+
+                // Empty lists without an event timestamp are the placeholders earlier
+                // versions stored when no relay had a list; drop them so they are re-fetched
+                if (oldVersion >= 2) {
+                    const request = event.target.transaction.objectStore('follows_v2').openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        if (!cursor.value.created_at && !cursor.value.follows?.byteLength) {
+                            cursor.delete();
+                        }
+                        cursor.continue();
+                    };
+                }
+            }
         };
     });
 }
@@ -74,13 +195,11 @@ async function loadPubkeyCache() {
         const request = store.getAll();
 
         request.onsuccess = () => {
-            pubkeyToId.clear();
-            idToPubkey.clear();
+            pubkeyTable.clear();
             nextId = 1;
 
             for (const record of request.result) {
-                pubkeyToId.set(record.pubkey, record.id);
-                idToPubkey.set(record.id, record.pubkey);
+                pubkeyTable.set(record.pubkey, record.id);
                 if (record.id >= nextId) {
                     nextId = record.id + 1;
                 }
@@ -91,20 +210,41 @@ async function loadPubkeyCache() {
     });
 }
 
-// Load entire graph into memory for fast traversal
-async function loadGraphCache() {
+// Load entire graph into memory for fast traversal (or, in lazy mode, its first hops).
+// Loads run one after another, so the last one requested is the one kept.
+function loadGraphCache() {
+    const load = graphLoadQueue.then(() => {
+        graphLoadMode = getGraphLoadMode();
+        pagedLists.clear();
+        missingLists.clear();
+        resetEdgeCount();
+        return lazyGraph ? loadEagerGraph() : loadFullGraph();
+    });
+    graphLoadQueue = load.catch(() => {});
+    return load;
+}
+
+function getGraphLoadMode() {
+    return lazyGraph ? `lazy:${eagerRoots.join(',')}` : 'full';
+}
+
+async function loadFullGraph() {
     return new Promise((resolve, reject) => {
         const tx = db.transaction('follows_v2', 'readonly');
         const store = tx.objectStore('follows_v2');
         const request = store.getAll();
 
         request.onsuccess = () => {
-            graphCache.clear();
+            createdAtCache.clear();
+            const lists = [];
             for (const record of request.result) {
                 // Decode from stored format
-                const follows = decodeFollows(record.follows);
-                graphCache.set(record.id, follows);
+                lists.push({ id: record.id, follows: decodeFollows(record.follows) });
+                if (record.created_at) {
+                    createdAtCache.set(record.id, record.created_at);
+                }
             }
+            followGraph.load(lists);
             graphLoaded = true;
             resolve();
         };
@@ -112,6 +252,198 @@ async function loadGraphCache() {
     });
 }
 
+// Lazy mode: note which ids have a stored list, then load only the lists of the
+// roots and of everyone within EAGER_HOPS of them
+async function loadEagerGraph() {
+    const ids = await new Promise((resolve, reject) => {
+        const request = db.transaction('follows_v2', 'readonly').objectStore('follows_v2').getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    storedLists = new Uint8Array(ids.length > 0 ? ids[ids.length - 1] + 1 : 0);
+    for (const id of ids) {
+        storedLists[id] = 1;
+    }
+    storedListCount = ids.length;
+
+    createdAtCache.clear();
+    const lists = [];
+    const seen = new Set();
+    let level = [];
+    for (const root of eagerRoots) {
+        const id = getId(root);
+        if (id !== null && !seen.has(id)) {
+            seen.add(id);
+            level.push(id);
+        }
+    }
+
+    for (let hops = 0; hops <= EAGER_HOPS && level.length > 0; hops++) {
+        const next = [];
+        for (const record of await readStoredLists(level)) {
+            const follows = decodeFollows(record.follows);
+            lists.push({ id: record.id, follows });
+            if (record.created_at) {
+                createdAtCache.set(record.id, record.created_at);
+            }
+
+            for (let i = 0; i < follows.length; i++) {
+                if (!seen.has(follows[i])) {
+                    seen.add(follows[i]);
+                    if (hasStoredList(follows[i])) next.push(follows[i]);
+                }
+            }
+        }
+        level = next;
+    }
+
+    followGraph.load(lists);
+    graphLoaded = true;
+}
+
+// Stored follow list records for ids (missing ones are left out), in one transaction
+function readStoredLists(ids) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('follows_v2', 'readonly');
+        const store = tx.objectStore('follows_v2');
+        const records = [];
+        for (const id of ids) {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) records.push(request.result);
+            };
+        }
+        tx.oncomplete = () => resolve(records);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Call fn(record) for every stored follow list, STORED_LIST_PAGE records at a time
+async function forEachStoredList(fn) {
+    await flushWriteBuffer();
+
+    let range = null;
+    for (;;) {
+        const records = await new Promise((resolve, reject) => {
+            const request = db.transaction('follows_v2', 'readonly').objectStore('follows_v2')
+                .getAll(range, STORED_LIST_PAGE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        for (const record of records) {
+            fn(record);
+        }
+        if (records.length < STORED_LIST_PAGE) return;
+        range = IDBKeyRange.lowerBound(records[records.length - 1].id, true);
+    }
+}
+
+// Load NIP-65 write relays into memory (used to route follow list requests)
+async function loadRelayListCache() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('relay_lists', 'readonly');
+        const store = tx.objectStore('relay_lists');
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            relayListCache.clear();
+            for (const record of request.result) {
+                relayListCache.set(record.id, {
+                    write: record.write || [],
+                    createdAt: record.created_at || 0,
+                    checkedAt: record.checked_at || 0
+                });
+            }
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Load mute lists into memory and build the muted-by index
+async function loadMuteCache() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('mutes', 'readonly');
+        const store = tx.objectStore('mutes');
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            muteCache.clear();
+            mutedByCache.clear();
+            for (const record of request.result) {
+                setMuteList(record.id, decodeFollows(record.mutes), record.created_at || 0);
+            }
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Load reports into memory, indexed by reported pubkey
+async function loadReportCache() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('reports', 'readonly');
+        const store = tx.objectStore('reports');
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            reportCache.clear();
+            reportTimeCache.clear();
+            reportCount = 0;
+            for (const record of request.result) {
+                addReport(record.reporter, record.target, record.type, record.created_at || 0);
+            }
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Load profile timestamps (profiles themselves are read on demand)
+async function loadProfileTimes() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('profiles', 'readonly');
+        const store = tx.objectStore('profiles');
+        const request = store.openCursor();
+
+        profileTimeCache.clear();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                profileTimeCache.set(cursor.value.id, cursor.value.created_at || 0);
+                cursor.continue();
+            } else {
+                resolve();
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Load fetch outcomes (retry schedule) into memory
+async function loadFetchStatusCache() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('fetch_status', 'readonly');
+        const store = tx.objectStore('fetch_status');
+        const request = store.openCursor();
+
+        fetchStatusCache.clear();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                const { id, status, attempts, retry_at } = cursor.value;
+                fetchStatusCache.set(id, { status, attempts: attempts || 0, retryAt: retry_at || 0 });
+                cursor.continue();
+            } else {
+                resolve();
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Encode follow IDs for storage (delta encoding + Uint32Array)
 function encodeFollows(followIds) {
     if (followIds.length === 0) return new ArrayBuffer(0);
@@ -147,13 +479,13 @@ function decodeFollows(buffer) {
 
 // Get or create numeric ID for a pubkey (non-blocking, batches writes)
 export function getOrCreateId(pubkey) {
-    if (pubkeyToId.has(pubkey)) {
-        return pubkeyToId.get(pubkey);
+    const existing = pubkeyTable.get(pubkey);
+    if (existing !== null) {
+        return existing;
     }
 
     const id = nextId++;
-    pubkeyToId.set(pubkey, id);
-    idToPubkey.set(id, pubkey);
+    pubkeyTable.set(pubkey, id);
 
     // Add to write buffer (will be persisted in batch)
     pubkeyWriteBuffer.push({ id, pubkey });
@@ -203,12 +535,17 @@ async function flushPubkeyBuffer() {
 
 // Get ID for pubkey (returns null if not exists)
 export function getId(pubkey) {
-    return pubkeyToId.get(pubkey) ?? null;
+    return pubkeyTable.get(pubkey);
 }
 
 // Get pubkey for ID
+// Highest numeric ID handed out so far (IDs are dense, starting at 1)
+export function getMaxId() {
+    return nextId - 1;
+}
+
 export function getPubkey(id) {
-    return idToPubkey.get(id) ?? null;
+    return pubkeyTable.getPubkey(id);
 }
 
 // Batch get or create IDs - fully sync, just updates memory
@@ -217,12 +554,12 @@ export function getOrCreateIds(pubkeys) {
 
     for (let i = 0; i < pubkeys.length; i++) {
         const pubkey = pubkeys[i];
-        if (pubkeyToId.has(pubkey)) {
-            ids[i] = pubkeyToId.get(pubkey);
+        const existing = pubkeyTable.get(pubkey);
+        if (existing !== null) {
+            ids[i] = existing;
         } else {
             const id = nextId++;
-            pubkeyToId.set(pubkey, id);
-            idToPubkey.set(id, pubkey);
+            pubkeyTable.set(pubkey, id);
             ids[i] = id;
             pubkeyWriteBuffer.push({ id, pubkey });
         }
@@ -241,15 +578,13 @@ export function getOrCreateIds(pubkeys) {
 // ============ Follows ============
 
 // Save follows - non-blocking, batches writes
-export function saveFollows(pubkey, follows) {
+// createdAt: created_at of the kind-3 event the list came from (0 if unknown)
+export function saveFollows(pubkey, follows, createdAt = 0) {
     const id = getOrCreateId(pubkey);
     const followIds = getOrCreateIds(follows);
 
-    // Update in-memory cache immediately
-    graphCache.set(id, new Uint32Array(followIds));
-
-    // Add to write buffer
-    writeBuffer.push({ id, followIds });
+    // Update in-memory cache immediately, write later
+    queueFollowList(id, followIds, createdAt);
 
     // Flush if buffer is full, otherwise schedule
     if (writeBuffer.length >= WRITE_BUFFER_SIZE) {
@@ -259,6 +594,189 @@ export function saveFollows(pubkey, follows) {
     }
 }
 
+// Replace id's list in memory and add it to the write buffer
+function queueFollowList(id, followIds, createdAt) {
+    // Length of the list being replaced, while it can be told without a read
+    const previousLength = storedListLength(id);
+
+    setFollowList(id, new Uint32Array(followIds));
+    setCreatedAt(id, createdAt);
+    writeBuffer.push({ id, followIds, createdAt, previousLength });
+}
+
+// Replace a follow list in memory (the CSR graph keeps the follower index in step).
+// In lazy mode, lists outside the eager hops go to the paged LRU instead.
+function setFollowList(id, followIds) {
+    if (!lazyGraph || followGraph.has(id)) {
+        followGraph.update([[id, followIds]]);
+        return;
+    }
+
+    pagedLists.delete(id);
+    pagedLists.set(id, followIds);
+    if (!hasStoredList(id)) {
+        markStoredList(id);
+    }
+    followGraph.markChanged(id);
+    trimPagedLists();
+}
+
+// ============ Lazy Graph Loading ============
+
+// Choose how follow lists are held in memory. lazy: only the lists of roots (pubkeys)
+// and of everyone within EAGER_HOPS of them are loaded up front, deeper lists are
+// read from IndexedDB as traversals reach them. Reloads a graph loaded differently.
+export async function configureGraphLoading({ lazy = false, roots = [] } = {}) {
+    lazyGraph = lazy;
+    eagerRoots = [...roots];
+
+    // Before the first load there is nothing to redo
+    if (graphLoadMode !== null && graphLoadMode !== getGraphLoadMode()) {
+        await reloadFollowGraph();
+    }
+}
+
+// Load the follow graph again from IndexedDB, e.g. so lazy mode picks up the
+// lists a sync stored within the eager hops
+export async function reloadFollowGraph() {
+    await initDB();
+    await flushWriteBuffer();
+    await loadGraphCache();
+}
+
+export function isLazyGraph() {
+    return lazyGraph;
+}
+
+// Run fn, a synchronous computation over getFollowIdsSync, until it ran without
+// asking for a follow list that is not in memory: the lists it missed are read from
+// IndexedDB and it is run again, so its result is the same as with the whole graph
+// loaded. Nothing is evicted until every such run has finished.
+export async function withFollowLists(fn) {
+    activeReaders++;
+    try {
+        for (;;) {
+            missingLists.clear();
+            const result = fn();
+            if (missingLists.size === 0) return result;
+            await pageInFollowLists([...missingLists]);
+        }
+    } finally {
+        activeReaders--;
+        trimPagedLists();
+    }
+}
+
+// Whether every follow list asked for in the current withFollowLists run was in memory
+export function followListsComplete() {
+    return missingLists.size === 0;
+}
+
+// Whether getFollowerIdsSync knows every follower (not in lazy mode, where the lists
+// that are not in memory cannot be searched)
+export function hasFollowerIndex() {
+    return !lazyGraph;
+}
+
+function hasStoredList(id) {
+    if (!lazyGraph) return followGraph.has(id);
+    return id < storedLists.length && storedLists[id] === 1;
+}
+
+// Length of id's stored follow list: 0 if there is none, null if it is not in memory
+function storedListLength(id) {
+    if (!hasStoredList(id)) return 0;
+    if (followGraph.has(id)) return followGraph.follows(id).length;
+    return pagedLists.get(id)?.length ?? null;
+}
+
+function resetEdgeCount() {
+    storedEdgeCount = null;
+    edgeCountChanges++;
+}
+
+// Apply a change in stored edges to the count, if one was taken
+function countEdgeChange(delta) {
+    edgeCountChanges++;
+    if (storedEdgeCount !== null) {
+        storedEdgeCount += delta;
+    }
+}
+
+function markStoredList(id) {
+    if (id >= storedLists.length) {
+        const grown = new Uint8Array(Math.max(id + 1, storedLists.length * 2));
+        grown.set(storedLists);
+        storedLists = grown;
+    }
+    storedLists[id] = 1;
+    storedListCount++;
+}
+
+function* storedListIds() {
+    if (!lazyGraph) {
+        yield* followGraph.ids();
+        return;
+    }
+    for (let id = 0; id < storedLists.length; id++) {
+        if (storedLists[id] === 1) yield id;
+    }
+}
+
+async function pageInFollowLists(ids) {
+    await flushWriteBuffer();
+
+    const found = new Set();
+    for (const record of await readStoredLists(ids)) {
+        found.add(record.id);
+        // A list saved while reading is newer than the stored one
+        if (followGraph.has(record.id) || pagedLists.has(record.id)) continue;
+
+        pagedLists.set(record.id, decodeFollows(record.follows));
+        if (record.created_at) {
+            createdAtCache.set(record.id, record.created_at);
+        }
+    }
+
+    // Gone from the store (cleared meanwhile): stop looking for them
+    for (const id of ids) {
+        if (!found.has(id) && storedLists[id] === 1) {
+            storedLists[id] = 0;
+            storedListCount--;
+        }
+    }
+}
+
+// Drop the least recently used paged lists beyond PAGED_LIST_LIMIT
+function trimPagedLists() {
+    if (activeReaders > 0) return;
+
+    for (const id of pagedLists.keys()) {
+        if (pagedLists.size <= PAGED_LIST_LIMIT) break;
+        pagedLists.delete(id);
+        createdAtCache.delete(id);
+    }
+}
+
+// Current follow list version, to pass to getFollowChangesSince later
+export function getFollowsVersion() {
+    return followGraph.version();
+}
+
+// IDs whose follow list changed after version, or null if the journal no longer
+// reaches back that far (or the graph was cleared) and everything must be recomputed
+export function getFollowChangesSince(version) {
+    return followGraph.changesSince(version);
+}
+
+function setCreatedAt(id, createdAt) {
+    if (createdAt) {
+        createdAtCache.set(id, createdAt);
+    } else {
+        createdAtCache.delete(id);
+    }
+}
+
 // Schedule a delayed flush
 function scheduleFlush() {
     if (writeFlushTimer || writeFlushInProgress) return;
@@ -273,28 +791,50 @@ export async function flushWriteBuffer() {
     // Flush pubkey mappings first
     await flushPubkeyBuffer();
 
-    // Then flush follows
-    if (writeBuffer.length === 0 || writeFlushInProgress) return;
+    // Then flush follows; a flush already running is waited for, so that
+    // everything saved before this call is on disk when it resolves
+    if (writeFlushInProgress) {
+        await writeFlushPromise.catch(() => {});
+        return flushWriteBuffer();
+    }
+    if (writeBuffer.length === 0) return;
 
     writeFlushInProgress = true;
     const toWrite = writeBuffer.splice(0, writeBuffer.length);
 
     try {
-        await new Promise((resolve, reject) => {
+        writeFlushPromise = new Promise((resolve, reject) => {
             const tx = db.transaction('follows_v2', 'readwrite');
             const store = tx.objectStore('follows_v2');
+            let edgeDelta = 0;
+
+            for (const { id, followIds, createdAt, previousLength } of toWrite) {
+                // Lists replaced while not in memory: requests run in order, so this
+                // reads the version the put below replaces
+                if (previousLength === null) {
+                    store.get(id).onsuccess = (event) => {
+                        edgeDelta -= (event.target.result?.follows?.byteLength || 0) / 4;
+                    };
+                } else {
+                    edgeDelta -= previousLength;
+                }
+                edgeDelta += followIds.length;
 
-            for (const { id, followIds } of toWrite) {
                 store.put({
                     id,
                     follows: encodeFollows(followIds),
+                    created_at: createdAt || 0,
                     updated_at: Date.now()
                 });
             }
 
-            tx.oncomplete = () => resolve();
+            tx.oncomplete = () => {
+                countEdgeChange(edgeDelta);
+                resolve();
+            };
             tx.onerror = () => reject(tx.error);
         });
+        await writeFlushPromise;
     } finally {
         writeFlushInProgress = false;
         // If more items accumulated during flush, schedule another
@@ -307,19 +847,12 @@ export async function flushWriteBuffer() {
 // Batch save follows - for bulk imports
 export function saveFollowsBatch(records) {
     // Convert all pubkeys to IDs (sync)
-    const convertedRecords = [];
-    for (const { pubkey, follows } of records) {
+    for (const { pubkey, follows, createdAt = 0 } of records) {
         const id = getOrCreateId(pubkey);
         const followIds = getOrCreateIds(follows);
-        convertedRecords.push({ id, followIds });
-
-        // Update in-memory cache
-        graphCache.set(id, new Uint32Array(followIds));
-    }
 
-    // Add all to write buffer
-    for (const record of convertedRecords) {
-        writeBuffer.push(record);
+        // Update in-memory cache and add to write buffer
+        queueFollowList(id, followIds, createdAt);
     }
 
     // Flush if buffer is large
@@ -331,18 +864,106 @@ export function saveFollowsBatch(records) {
     }
 }
 
+// Every stored follow list as [{ id, follows: Uint32Array }], read over a separate
+// connection without touching this module's caches (used by the graph worker, which
+// keeps its own copy). Call flushWriteBuffer() first for lists saved in memory only.
+// Fails if initDB() has not created or upgraded the database yet: upgrading is left to it.
+export async function readFollowLists() {
+    const database = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(new Error('Graph database not initialized'));
+    });
+
+    try {
+        if (!database.objectStoreNames.contains('follows_v2')) {
+            throw new Error('Graph database not initialized');
+        }
+        return await new Promise((resolve, reject) => {
+            const tx = database.transaction('follows_v2', 'readonly');
+            const request = tx.objectStore('follows_v2').getAll();
+            request.onsuccess = () => resolve(request.result.map(record => ({
+                id: record.id,
+                follows: decodeFollows(record.follows)
+            })));
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
 // Get follows as pubkey strings (for external API)
 export async function getFollows(pubkey) {
     const id = getId(pubkey);
     if (id === null) return [];
 
-    const followIds = getFollowIdsSync(id);
+    const followIds = await withFollowLists(() => getFollowIdsSync(id));
     return Array.from(followIds).map(fid => getPubkey(fid)).filter(Boolean);
 }
 
 // Get follows as numeric IDs - SYNC from memory cache
+// (a view into the CSR arrays, not to be modified). In lazy mode a stored list that is
+// not in memory reads as empty and is noted for withFollowLists to page in.
 export function getFollowIdsSync(id) {
-    return graphCache.get(id) || new Uint32Array(0);
+    if (id === null) return new Uint32Array(0);
+    if (!lazyGraph || followGraph.has(id)) return followGraph.follows(id);
+
+    const paged = pagedLists.get(id);
+    if (paged) {
+        // Most recently used last
+        pagedLists.delete(id);
+        pagedLists.set(id, paged);
+        return paged;
+    }
+
+    if (hasStoredList(id)) {
+        missingLists.add(id);
+    }
+    return new Uint32Array(0);
+}
+
+// IDs of the stored lists that contain id - SYNC from memory cache
+// (only the lists in memory in lazy mode, see hasFollowerIndex)
+export function getFollowerIdsSync(id) {
+    return followGraph.followers(id);
+}
+
+// Pubkeys whose stored follow list contains target
+export async function getFollowers(target) {
+    return (await getFollowersBatch([target])).get(target);
+}
+
+// Map target -> pubkeys whose stored follow list contains it. From the follower index,
+// or in lazy mode from a scan of every stored list.
+export async function getFollowersBatch(targets) {
+    const result = new Map(targets.map(t => [t, []]));
+    const targetIds = new Map();
+    for (const target of targets) {
+        const id = getId(target);
+        if (id !== null) targetIds.set(id, target);
+    }
+
+    if (!lazyGraph) {
+        for (const [id, target] of targetIds) {
+            result.set(target, Array.from(getFollowerIdsSync(id)).map(fid => getPubkey(fid)).filter(Boolean));
+        }
+        return result;
+    }
+
+    if (targetIds.size === 0) return result;
+    await forEachStoredList((record) => {
+        const follows = decodeFollows(record.follows);
+        for (let i = 0; i < follows.length; i++) {
+            const target = targetIds.get(follows[i]);
+            if (target !== undefined) {
+                const pubkey = getPubkey(record.id);
+                if (pubkey) result.get(target).push(pubkey);
+            }
+        }
+    });
+    return result;
 }
 
 // Async version for backwards compatibility
@@ -354,7 +975,7 @@ export async function getFollowIds(id) {
 export function getFollowIdsBatch(ids) {
     const result = new Map();
     for (const id of ids) {
-        result.set(id, graphCache.get(id) || new Uint32Array(0));
+        result.set(id, getFollowIdsSync(id));
     }
     return result;
 }
@@ -362,26 +983,444 @@ export function getFollowIdsBatch(ids) {
 export async function hasFollows(pubkey) {
     const id = getId(pubkey);
     if (id === null) return false;
-    return graphCache.has(id);
+    return hasStoredList(id);
+}
+
+// created_at of the stored follow list, or null if unknown (never fetched or legacy data)
+export async function getFollowsCreatedAt(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return null;
+
+    const cached = createdAtCache.get(id);
+    if (cached !== undefined || !lazyGraph || !hasStoredList(id)) {
+        return cached ?? null;
+    }
+
+    // Lazy mode only keeps it for lists in memory
+    await flushWriteBuffer();
+    const [record] = await readStoredLists([id]);
+    return record?.created_at || null;
+}
+
+// ============ Fetch Status ============
+
+// Record follow list fetch outcomes - records: [{ pubkey, status, createdAt, relays }]
+// status: 'found' (createdAt of the event), 'not_found' (relays answered without a list)
+// or 'error' (no relay could answer). Repeated misses double the retry delay.
+export async function saveFetchStatuses(records) {
+    const database = await initDB();
+    if (records.length === 0) return;
+
+    const now = Date.now();
+    const toWrite = [];
+    for (const { pubkey, status, createdAt = 0, relays = [] } of records) {
+        const id = getOrCreateId(pubkey);
+        const previous = fetchStatusCache.get(id);
+        const attempts = status === 'found' ? 0 : (previous?.status === status ? previous.attempts : 0) + 1;
+        const base = status === 'not_found' ? NOT_FOUND_RETRY : ERROR_RETRY;
+        const retryAt = status === 'found' ? 0 : now + Math.min(MAX_RETRY, base * 2 ** (attempts - 1));
+
+        fetchStatusCache.set(id, { status, attempts, retryAt });
+        toWrite.push({ id, status, created_at: createdAt, relays, checked_at: now, attempts, retry_at: retryAt });
+    }
+
+    await flushPubkeyBuffer();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('fetch_status', 'readwrite');
+        const store = tx.objectStore('fetch_status');
+        for (const record of toWrite) {
+            store.put(record);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Last fetch outcome for a pubkey - SYNC from memory: { status, attempts, retryAt } or null
+export function getFetchState(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return null;
+    return fetchStatusCache.get(id) ?? null;
+}
+
+// Full fetch record: { pubkey, status, createdAt, relays, checkedAt, attempts, retryAt } or null
+export async function getFetchStatus(pubkey) {
+    const database = await initDB();
+    const id = getId(pubkey);
+    if (id === null) return null;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('fetch_status', 'readonly');
+        const request = tx.objectStore('fetch_status').get(id);
+        request.onsuccess = () => {
+            const record = request.result;
+            resolve(record ? {
+                pubkey,
+                status: record.status,
+                createdAt: record.created_at || null,
+                relays: record.relays || [],
+                checkedAt: record.checked_at,
+                attempts: record.attempts || 0,
+                retryAt: record.retry_at || null
+            } : null);
+        };
+        request.onerror = () => reject(request.error);
+    });
 }
 
 export async function getAllPubkeys() {
-    const ids = Array.from(graphCache.keys());
+    const ids = Array.from(storedListIds());
     return ids.map(id => getPubkey(id)).filter(Boolean);
 }
 
+// ============ Relay Lists (NIP-65) ============
+
+// Save relay lists - records: [{ pubkey, write: string[], createdAt, checkedAt? }]
+// createdAt 0 means relays answered without a relay list. checkedAt (default now) is
+// when relays were asked; a list older than the stored one only refreshes that time.
+export async function saveRelayLists(records) {
+    const database = await initDB();
+
+    const toWrite = [];
+    for (const { pubkey, write, createdAt = 0, checkedAt = Date.now() } of records) {
+        const id = getOrCreateId(pubkey);
+        const existing = relayListCache.get(id);
+        const entry = existing && existing.createdAt > createdAt
+            ? { ...existing, checkedAt: Math.max(existing.checkedAt, checkedAt) }
+            : { write, createdAt, checkedAt };
+
+        relayListCache.set(id, entry);
+        toWrite.push({ id, write: entry.write, created_at: entry.createdAt, checked_at: entry.checkedAt });
+    }
+
+    if (toWrite.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('relay_lists', 'readwrite');
+        const store = tx.objectStore('relay_lists');
+        for (const record of toWrite) {
+            store.put(record);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Write relays of a pubkey - SYNC from memory, null if no relay list is known
+export function getWriteRelays(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return null;
+    return relayListCache.get(id)?.write ?? null;
+}
+
+// Whether relays should be asked for pubkey's relay list: never asked, or the last
+// answer is older than RELAY_LIST_REFRESH (RELAY_LIST_RETRY if they had none)
+export function isRelayListDue(pubkey, now = Date.now()) {
+    const id = getId(pubkey);
+    const entry = id !== null ? relayListCache.get(id) : null;
+    if (!entry) return true;
+
+    const ttl = entry.createdAt > 0 ? RELAY_LIST_REFRESH : RELAY_LIST_RETRY;
+    return now - entry.checkedAt >= ttl;
+}
+
+// created_at of pubkey's stored relay list, or 0 if none is known
+export function getRelayListCreatedAt(pubkey) {
+    const id = getId(pubkey);
+    return id !== null ? relayListCache.get(id)?.createdAt ?? 0 : 0;
+}
+
+// ============ Mute Lists (kind 10000) ============
+
+// Replace a muter's list in memory, keeping the muted-by index in step
+function setMuteList(id, muteIds, createdAt) {
+    const previous = muteCache.get(id);
+    if (previous) {
+        for (const mutedId of previous.mutes) {
+            mutedByCache.get(mutedId)?.delete(id);
+        }
+    }
+
+    muteCache.set(id, { mutes: muteIds, createdAt });
+    for (const mutedId of muteIds) {
+        let muters = mutedByCache.get(mutedId);
+        if (!muters) {
+            muters = new Set();
+            mutedByCache.set(mutedId, muters);
+        }
+        muters.add(id);
+    }
+}
+
+// Save public mute lists - records: [{ pubkey, mutes: string[], createdAt }]
+// Older lists than the ones already stored are ignored.
+export async function saveMuteLists(records) {
+    const database = await initDB();
+
+    const toWrite = [];
+    for (const { pubkey, mutes, createdAt = 0 } of records) {
+        const id = getOrCreateId(pubkey);
+        const existing = muteCache.get(id);
+        if (existing && existing.createdAt > createdAt) continue;
+
+        const muteIds = getOrCreateIds(mutes);
+        setMuteList(id, new Uint32Array(muteIds), createdAt);
+        toWrite.push({ id, mutes: encodeFollows(muteIds), created_at: createdAt });
+    }
+
+    if (toWrite.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('mutes', 'readwrite');
+        const store = tx.objectStore('mutes');
+        for (const record of toWrite) {
+            store.put(record);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Pubkeys muted by a pubkey (public entries only)
+export function getMutes(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return [];
+    const list = muteCache.get(id);
+    return list ? Array.from(list.mutes).map(mid => getPubkey(mid)).filter(Boolean) : [];
+}
+
+// Pubkeys whose public mute list contains target - SYNC from memory
+export function getMutedBy(target) {
+    const id = getId(target);
+    if (id === null) return [];
+    const muters = mutedByCache.get(id);
+    return muters ? Array.from(muters).map(mid => getPubkey(mid)).filter(Boolean) : [];
+}
+
+export function isMuted(muter, target) {
+    const muterId = getId(muter);
+    const targetId = getId(target);
+    if (muterId === null || targetId === null) return false;
+    return mutedByCache.get(targetId)?.has(muterId) ?? false;
+}
+
+// created_at of the stored mute list, or null if none is stored
+export function getMuteListCreatedAt(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return null;
+    return muteCache.get(id)?.createdAt ?? null;
+}
+
+// ============ Reports (NIP-56) ============
+
+// Add a report to the in-memory index. Returns false if nothing changed
+// (the same reporter already reported the same target for the same reason).
+function addReport(reporterId, targetId, type, createdAt) {
+    let reports = reportCache.get(targetId);
+    if (!reports) {
+        reports = new Map();
+        reportCache.set(targetId, reports);
+    }
+
+    if (createdAt > (reportTimeCache.get(reporterId) || 0)) {
+        reportTimeCache.set(reporterId, createdAt);
+    }
+
+    let types = reports.get(reporterId);
+    if (!types) {
+        types = new Map();
+        reports.set(reporterId, types);
+    }
+
+    const known = types.get(type);
+    if (known !== undefined && known >= createdAt) return false;
+
+    if (known === undefined) reportCount++;
+    types.set(type, createdAt);
+    return true;
+}
+
+// Save reports - records: [{ reporter, target, type, createdAt }]
+export async function saveReports(records) {
+    const database = await initDB();
+
+    const toWrite = [];
+    for (const { reporter, target, type, createdAt = 0 } of records) {
+        const reporterId = getOrCreateId(reporter);
+        const targetId = getOrCreateId(target);
+        if (addReport(reporterId, targetId, type, createdAt)) {
+            toWrite.push({ reporter: reporterId, target: targetId, type, created_at: createdAt });
+        }
+    }
+
+    if (toWrite.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('reports', 'readwrite');
+        const store = tx.objectStore('reports');
+        for (const record of toWrite) {
+            store.put(record);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Reports against a pubkey - SYNC from memory: [{ reporter, type, createdAt }]
+export function getReports(target) {
+    const id = getId(target);
+    if (id === null) return [];
+    const reports = reportCache.get(id);
+    if (!reports) return [];
+
+    const result = [];
+    for (const [reporterId, types] of reports) {
+        const reporter = getPubkey(reporterId);
+        if (!reporter) continue;
+        for (const [type, createdAt] of types) {
+            result.push({ reporter, type, createdAt });
+        }
+    }
+    return result;
+}
+
+// created_at of the newest stored report by a pubkey, or null if none
+export function getLatestReportTime(reporter) {
+    const id = getId(reporter);
+    if (id === null) return null;
+    return reportTimeCache.get(id) ?? null;
+}
+
+// ============ Profiles (kind 0) ============
+
+// Save profiles - records: [{ pubkey, name, displayName, picture, nip05, createdAt }]
+// Older profiles than the ones already stored are ignored.
+export async function saveProfiles(records) {
+    const database = await initDB();
+
+    const toWrite = [];
+    for (const { pubkey, name, displayName, picture, nip05, createdAt = 0 } of records) {
+        const id = getOrCreateId(pubkey);
+        if ((profileTimeCache.get(id) ?? -1) > createdAt) continue;
+
+        profileTimeCache.set(id, createdAt);
+        toWrite.push({ id, name, displayName, picture, nip05, created_at: createdAt });
+    }
+
+    if (toWrite.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('profiles', 'readwrite');
+        const store = tx.objectStore('profiles');
+        for (const record of toWrite) {
+            store.put(record);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Get cached profiles - returns Map pubkey -> { pubkey, name, displayName, picture, nip05, createdAt }
+// (pubkeys without a cached profile are absent)
+export async function getProfiles(pubkeys) {
+    const database = await initDB();
+    const result = new Map();
+
+    const ids = [];
+    for (const pubkey of pubkeys) {
+        const id = getId(pubkey);
+        if (id !== null && profileTimeCache.has(id)) ids.push([pubkey, id]);
+    }
+    if (ids.length === 0) return result;
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('profiles', 'readonly');
+        const store = tx.objectStore('profiles');
+
+        for (const [pubkey, id] of ids) {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (record) {
+                    result.set(pubkey, {
+                        pubkey,
+                        name: record.name ?? null,
+                        displayName: record.displayName ?? null,
+                        picture: record.picture ?? null,
+                        nip05: record.nip05 ?? null,
+                        createdAt: record.created_at || 0
+                    });
+                }
+            };
+        }
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export async function getProfile(pubkey) {
+    return (await getProfiles([pubkey])).get(pubkey) ?? null;
+}
+
+// created_at of the cached profile, or null if none is cached
+export function getProfileCreatedAt(pubkey) {
+    const id = getId(pubkey);
+    if (id === null) return null;
+    return profileTimeCache.get(id) ?? null;
+}
+
+// ============ NIP-05 cache ============
+
+export async function saveNip05Record(record) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('nip05', 'readwrite');
+        const request = tx.objectStore('nip05').put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function getNip05Record(identifier) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('nip05', 'readonly');
+        const request = tx.objectStore('nip05').get(identifier);
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============ Stats ============
 
 export async function getStats() {
     await initDB();
 
     // Most stats from memory
-    const nodes = graphCache.size;
-    let edges = 0;
-    for (const follows of graphCache.values()) {
-        edges += follows.length;
+    const nodes = lazyGraph ? storedListCount : followGraph.size;
+    const edges = lazyGraph ? await countStoredEdges() : followGraph.edgeCount();
+    const uniquePubkeys = pubkeyTable.size;
+    const relayLists = relayListCache.size;
+    const muteLists = muteCache.size;
+    const reports = reportCount;
+    const profiles = profileTimeCache.size;
+
+    // Pubkeys reached by sync without a stored follow list, by last outcome
+    const now = Date.now();
+    let notFound = 0;
+    let errored = 0;
+    let retryPending = 0;
+    for (const [id, { status, retryAt }] of fetchStatusCache) {
+        if (status === 'found' || hasStoredList(id)) continue;
+        if (status === 'not_found') notFound++;
+        else errored++;
+        if (retryAt > now) retryPending++;
     }
-    const uniquePubkeys = pubkeyToId.size;
+    const known = nodes + notFound + errored;
 
     // Meta from DB
     const meta = await getMetaBatch(['lastSync', 'nodesPerDepth', 'syncDepth']);
@@ -393,6 +1432,12 @@ export async function getStats() {
         nodes,
         edges,
         uniquePubkeys,
+        relayLists,
+        muteLists,
+        reports,
+        profiles,
+        fetchStatus: { found: nodes, notFound, errored, retryPending },
+        completeness: known > 0 ? nodes / known : null,
         lastSync: meta.lastSync || null,
         nodesPerDepth: meta.nodesPerDepth || null,
         syncDepth: meta.syncDepth || null,
@@ -400,46 +1445,64 @@ export async function getStats() {
     };
 }
 
-// Calculate database size from actual stored data
-async function getDatabaseSize() {
+// Follow edges in IndexedDB (lazy mode, where not every list is in memory): counted
+// with one scan after each graph load, then kept up to date by the flushes
+async function countStoredEdges() {
+    await flushWriteBuffer();
+    if (storedEdgeCount !== null) return storedEdgeCount;
+
+    if (!edgeCountScan) {
+        edgeCountScan = (async () => {
+            const changes = edgeCountChanges;
+            let edges = 0;
+            await forEachStoredList((record) => {
+                edges += (record.follows?.byteLength || 0) / 4; // One Uint32 delta per follow
+            });
+            // Lists written during the scan may or may not be in it: count again next time
+            if (changes === edgeCountChanges) {
+                storedEdgeCount = edges;
+            }
+            return edges;
+        })().finally(() => {
+            edgeCountScan = null;
+        });
+    }
+    return edgeCountScan;
+}
+
+// Approximate bytes held in IndexedDB. Uses the browser's estimate for the extension's
+// origin, which covers every store without reading any; where there is none, sizes
+// are estimated from the in-memory indexes.
+export async function getDatabaseSize() {
     await initDB();
 
-    let totalSize = 0;
+    if (globalThis.navigator?.storage?.estimate) {
+        try {
+            const { usage } = await navigator.storage.estimate();
+            if (Number.isFinite(usage)) return usage;
+        } catch (e) {
+            // Fall back to the estimate below
+        }
+    }
+    return estimateDatabaseSize();
+}
 
-    // Calculate pubkeys store size
-    // Each entry: { id: number (4 bytes), pubkey: string (64 chars = 64 bytes) } + overhead (~20 bytes)
-    const pubkeyCount = pubkeyToId.size;
-    totalSize += pubkeyCount * (4 + 64 + 20);
+// Rough per-record sizes (key, value and overhead) of each store
+function estimateDatabaseSize() {
+    let size = pubkeyTable.size * (4 + 64 + 20);
 
-    // Calculate follows_v2 store size from actual stored buffers
-    try {
-        const size = await new Promise((resolve, reject) => {
-            const tx = db.transaction('follows_v2', 'readonly');
-            const store = tx.objectStore('follows_v2');
-            const request = store.getAll();
+    // Loaded lists only in lazy mode
+    size += (lazyGraph ? storedListCount : followGraph.size) * 24 + followGraph.edgeCount() * 4;
 
-            request.onsuccess = () => {
-                let followsSize = 0;
-                for (const record of request.result) {
-                    // id (4 bytes) + follows ArrayBuffer + overhead (~20 bytes)
-                    const bufferSize = record.follows?.byteLength || 0;
-                    followsSize += 4 + bufferSize + 20;
-                }
-                resolve(followsSize);
-            };
-            request.onerror = () => reject(request.error);
-        });
-        totalSize += size;
-    } catch (e) {
-        // Fallback: estimate from memory cache
-        let totalFollows = 0;
-        for (const follows of graphCache.values()) {
-            totalFollows += follows.length;
-        }
-        totalSize += graphCache.size * 24 + totalFollows * 4;
+    for (const { write } of relayListCache.values()) {
+        size += 40 + write.length * 40;
+    }
+    for (const { mutes } of muteCache.values()) {
+        size += 24 + mutes.length * 4;
     }
+    size += reportCount * 40 + profileTimeCache.size * 200 + fetchStatusCache.size * 60;
 
-    return totalSize;
+    return size;
 }
 
 // ============ Meta ============
@@ -468,6 +1531,85 @@ export async function getMeta(key) {
     });
 }
 
+// Sync history log, newest first, capped at SYNC_HISTORY_LIMIT entries
+export async function addSyncHistory(entry) {
+    const history = await getMeta('syncHistory') || [];
+    history.unshift(entry);
+    await setMeta('syncHistory', history.slice(0, SYNC_HISTORY_LIMIT));
+}
+
+export async function getSyncHistory() {
+    return await getMeta('syncHistory') || [];
+}
+
+// Fold per-connection samples from a sync (RelayConnection.takeStats) into the
+// persisted per-relay totals. Relays in keepUrls (the configured ones) are always
+// kept; of the rest, those tried in the last RELAY_STATS_MAX_AGE, up to RELAY_STATS_LIMIT.
+export async function addRelayStats(samples, keepUrls = []) {
+    if (samples.length === 0) return;
+
+    const stats = await getMeta('relayStats') || {};
+    const now = Date.now();
+
+    for (const sample of samples) {
+        const entry = stats[sample.url] || { connects: 0, connectFailures: 0, connectMsTotal: 0, lastSeen: null };
+        for (const key of RELAY_COUNTERS) {
+            entry[key] = (entry[key] || 0) + (sample[key] || 0);
+        }
+        if (sample.connected === null) {
+            // More from a connection whose connect was already counted
+            entry.lastSeen = now;
+        } else if (sample.connected) {
+            entry.connects++;
+            entry.connectMsTotal += sample.connectMs;
+            entry.lastSeen = now;
+            entry.lastAttempt = now;
+        } else {
+            entry.connectFailures++;
+            entry.lastAttempt = now;
+        }
+        stats[sample.url] = entry;
+    }
+
+    const keep = new Set(keepUrls);
+    const others = Object.keys(stats)
+        .filter(url => !keep.has(url) && now - (stats[url].lastAttempt || 0) < RELAY_STATS_MAX_AGE)
+        .sort((a, b) => (stats[b].lastAttempt || 0) - (stats[a].lastAttempt || 0))
+        .slice(0, RELAY_STATS_LIMIT);
+    const kept = {};
+    for (const url of [...keepUrls, ...others]) {
+        if (stats[url]) kept[url] = stats[url];
+    }
+
+    await setMeta('relayStats', kept);
+}
+
+// Persisted relay totals with derived rates, most used first:
+// [{ url, connects, connectFailures, avgConnectMs, requests, timeouts, notices, closed,
+//    events, rejected, avgResponseMs, successRate, lastSeen, lastAttempt }]
+export async function getRelayStats() {
+    const stats = await getMeta('relayStats') || {};
+
+    return Object.entries(stats)
+        .map(([url, entry]) => ({
+            url,
+            connects: entry.connects,
+            connectFailures: entry.connectFailures,
+            avgConnectMs: entry.connects > 0 ? Math.round(entry.connectMsTotal / entry.connects) : null,
+            requests: entry.requests,
+            timeouts: entry.timeouts,
+            notices: entry.notices,
+            closed: entry.closed,
+            events: entry.events,
+            rejected: entry.rejected,
+            avgResponseMs: entry.responses > 0 ? Math.round(entry.responseMsTotal / entry.responses) : null,
+            successRate: entry.requests > 0 ? entry.responses / entry.requests : null,
+            lastSeen: entry.lastSeen,
+            lastAttempt: entry.lastAttempt
+        }))
+        .sort((a, b) => b.requests - a.requests);
+}
+
 // Batch get meta values
 async function getMetaBatch(keys) {
     const database = await initDB();
@@ -512,19 +1654,38 @@ export async function clearAll() {
     pubkeyFlushInProgress = false;
 
     // Clear in-memory caches and buffers
-    pubkeyToId.clear();
-    idToPubkey.clear();
-    graphCache.clear();
+    pubkeyTable.clear();
+    followGraph.load([]);
+    storedLists = new Uint8Array(0);
+    storedListCount = 0;
+    resetEdgeCount();
+    pagedLists.clear();
+    missingLists.clear();
+    createdAtCache.clear();
+    relayListCache.clear();
+    muteCache.clear();
+    mutedByCache.clear();
+    reportCache.clear();
+    reportTimeCache.clear();
+    reportCount = 0;
+    profileTimeCache.clear();
+    fetchStatusCache.clear();
     nextId = 1;
     writeBuffer.length = 0;
     pubkeyWriteBuffer.length = 0;
 
     return new Promise((resolve, reject) => {
-        const tx = database.transaction(['follows_v2', 'pubkeys', 'meta'], 'readwrite');
+        const tx = database.transaction(['follows_v2', 'pubkeys', 'meta', 'relay_lists', 'mutes', 'reports', 'profiles', 'nip05', 'fetch_status'], 'readwrite');
 
         tx.objectStore('follows_v2').clear();
         tx.objectStore('pubkeys').clear();
         tx.objectStore('meta').clear();
+        tx.objectStore('relay_lists').clear();
+        tx.objectStore('mutes').clear();
+        tx.objectStore('reports').clear();
+        tx.objectStore('profiles').clear();
+        tx.objectStore('nip05').clear();
+        tx.objectStore('fetch_status').clear();
 
         tx.oncomplete = () => resolve();
         tx.onerror = () => reject(tx.error);
@@ -537,22 +1698,66 @@ export async function exportData() {
     await initDB();
     await flushWriteBuffer(); // Ensure all data is persisted
 
-    // Export from memory cache
+    // Export from memory cache (from IndexedDB for a lazily loaded graph)
     const follows = [];
-    for (const [id, followIds] of graphCache) {
+    const addFollows = (id, followIds, createdAt) => {
         const pubkey = getPubkey(id);
         if (pubkey) {
             follows.push({
                 pubkey,
-                follows: Array.from(followIds).map(fid => getPubkey(fid)).filter(Boolean)
+                follows: Array.from(followIds).map(fid => getPubkey(fid)).filter(Boolean),
+                created_at: createdAt || 0
+            });
+        }
+    };
+    if (lazyGraph) {
+        await forEachStoredList(record => addFollows(record.id, decodeFollows(record.follows), record.created_at));
+    } else {
+        for (const id of followGraph.ids()) {
+            addFollows(id, followGraph.follows(id), createdAtCache.get(id));
+        }
+    }
+
+    const relayLists = [];
+    for (const [id, { write, createdAt, checkedAt }] of relayListCache) {
+        const pubkey = getPubkey(id);
+        if (pubkey) {
+            relayLists.push({ pubkey, write, created_at: createdAt, checked_at: checkedAt });
+        }
+    }
+
+    const muteLists = [];
+    for (const [id, { mutes, createdAt }] of muteCache) {
+        const pubkey = getPubkey(id);
+        if (pubkey) {
+            muteLists.push({
+                pubkey,
+                mutes: Array.from(mutes).map(mid => getPubkey(mid)).filter(Boolean),
+                created_at: createdAt
             });
         }
     }
 
+    const reports = [];
+    for (const [targetId, targetReports] of reportCache) {
+        const target = getPubkey(targetId);
+        if (!target) continue;
+        for (const [reporterId, types] of targetReports) {
+            const reporter = getPubkey(reporterId);
+            if (!reporter) continue;
+            for (const [type, createdAt] of types) {
+                reports.push({ reporter, target, type, created_at: createdAt });
+            }
+        }
+    }
+
     const meta = await getMetaBatch(['lastSync', 'nodesPerDepth', 'syncDepth', 'lastImport']);
 
     return {
         follows,
+        relayLists,
+        muteLists,
+        reports,
         meta: Object.entries(meta).map(([key, value]) => ({ key, value })),
         exported_at: Date.now(),
         version: 2
@@ -573,7 +1778,34 @@ export async function importData(data) {
         const batch = data.follows.slice(i, i + batchSize);
         await saveFollowsBatch(batch.map(r => ({
             pubkey: r.pubkey,
-            follows: r.follows
+            follows: r.follows,
+            createdAt: r.created_at || 0
+        })));
+    }
+
+    if (Array.isArray(data.relayLists)) {
+        await saveRelayLists(data.relayLists.map(r => ({
+            pubkey: r.pubkey,
+            write: r.write || [],
+            createdAt: r.created_at || 0,
+            checkedAt: r.checked_at || 0
+        })));
+    }
+
+    if (Array.isArray(data.muteLists)) {
+        await saveMuteLists(data.muteLists.map(r => ({
+            pubkey: r.pubkey,
+            mutes: r.mutes || [],
+            createdAt: r.created_at || 0
+        })));
+    }
+
+    if (Array.isArray(data.reports)) {
+        await saveReports(data.reports.map(r => ({
+            reporter: r.reporter,
+            target: r.target,
+            type: r.type || 'other',
+            createdAt: r.created_at || 0
         })));
     }
 
@@ -596,19 +1828,19 @@ export function isGraphLoaded() {
 
 // Get graph size stats
 export function getGraphMemoryStats() {
-    let totalFollows = 0;
-    for (const follows of graphCache.values()) {
-        totalFollows += follows.length;
+    // Rough memory estimate: pubkey table + CSR arrays (followers included) + paged lists
+    let pagedEdges = 0;
+    for (const follows of pagedLists.values()) {
+        pagedEdges += follows.length;
     }
+    const pubkeyBytes = pubkeyTable.byteSize();
+    const graphBytes = followGraph.byteSize() + pagedLists.size * 16 + pagedEdges * 4;
 
-    // Rough memory estimate
-    const pubkeyBytes = pubkeyToId.size * (64 + 4); // pubkey string + id
-    const graphBytes = graphCache.size * 4 + totalFollows * 4; // keys + values
-
+    // Lists held in memory (in lazy mode, not every stored one)
     return {
-        nodes: graphCache.size,
-        edges: totalFollows,
-        pubkeys: pubkeyToId.size,
+        nodes: followGraph.size + pagedLists.size,
+        edges: followGraph.edgeCount() + pagedEdges,
+        pubkeys: pubkeyTable.size,
         estimatedMemoryMB: ((pubkeyBytes + graphBytes) / 1024 / 1024).toFixed(2)
     };
 }
@@ -1,12 +1,29 @@
 import * as storage from './storage.js';
+import { verifyEvent } from './verify.js';
 
-const BATCH_SIZE = 50; // Pubkeys per batch
+const BATCH_SIZE = 500; // Pubkeys per BFS batch
+const AUTHORS_PER_REQ = 50; // Authors per REQ filter
+const REPORTS_LIMIT = 500; // Max reports asked for per REQ
+const REPORT_PAGES = 10; // Max REQs paging back through one author chunk's reports
+const PROFILE_FIELD_MAX = 256; // Max length kept for each profile field
 const PROGRESS_INTERVAL = 200; // Min ms between progress updates
+const CHECKPOINT_INTERVAL = 15000; // Min ms between persisted BFS checkpoints
+const SIZE_CHECK_INTERVAL = 5000; // Min ms between database size checks for options.budget.maxBytes
 const CONNECTION_TIMEOUT = 5000; // Time to wait for relay connection
 const REQUEST_TIMEOUT = 10000; // Time to wait for response
+const AUTH_TIMEOUT = 60000; // Time to wait for the signer and the relay's OK to a NIP-42 AUTH
 const BASE_DELAY = 50; // Base delay between requests per relay (ms)
 const MAX_DELAY = 2000; // Max delay when throttled
 const CONCURRENT_PER_RELAY = 5; // Max concurrent requests per relay
+const MAX_OUTBOX_CONNECTIONS = 20; // Cap on sockets opened to authors' own relays
+const OUTBOX_RELAYS_PER_AUTHOR = 2; // Write relays tried per author before the configured ones
+const AUTHORS_PER_SUBSCRIPTION = 500; // Max authors in one live subscription filter
+const RESUBSCRIBE_DELAY = 2000; // Debounce before rebuilding live subscriptions
+const RECONNECT_BASE_DELAY = 5000; // First reconnect attempt for a dropped live relay
+const RECONNECT_MAX_DELAY = 300000; // Max backoff between reconnect attempts
+
+// NIP-56 report types
+const REPORT_TYPES = new Set(['nudity', 'malware', 'profanity', 'illegal', 'spam', 'impersonation', 'other']);
 
 let syncInProgress = false;
 let syncAborted = false;
@@ -23,20 +40,143 @@ export function stopSync() {
     }
 }
 
+// Extract followed pubkeys from a kind-3 event
+function parseFollows(event) {
+    return (event.tags || [])
+        .filter(tag => tag[0] === 'p' && tag[1])
+        .map(tag => tag[1]);
+}
+
+// Extract reported pubkeys from a NIP-56 kind-1984 event.
+// The report type sits on the 'p' tag for profile reports and on the 'e' tag
+// when a note is reported; either way the reported author is the 'p' target.
+function parseReports(event) {
+    const noteType = (event.tags || []).find(tag => tag[0] === 'e' && tag[2])?.[2];
+    const reports = [];
+    for (const tag of event.tags || []) {
+        if (tag[0] !== 'p' || !tag[1] || tag[1] === event.pubkey) continue;
+        reports.push({
+            reporter: event.pubkey,
+            target: tag[1],
+            type: REPORT_TYPES.has(tag[2]) ? tag[2] : (REPORT_TYPES.has(noteType) ? noteType : 'other'),
+            createdAt: event.created_at
+        });
+    }
+    return reports;
+}
+
+// Pick the display fields of a kind-0 profile, or null if the content is not a JSON object.
+// Only https pictures are kept since the popup renders them.
+function parseProfile(event) {
+    let content;
+    try {
+        content = JSON.parse(event.content);
+    } catch {
+        return null;
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) return null;
+
+    const text = (value) => typeof value === 'string' && value.trim() ? value.trim().slice(0, PROFILE_FIELD_MAX) : null;
+
+    let picture = text(content.picture);
+    try {
+        if (picture && new URL(picture).protocol !== 'https:') picture = null;
+    } catch {
+        picture = null;
+    }
+
+    return {
+        pubkey: event.pubkey,
+        name: text(content.name),
+        displayName: text(content.display_name) || text(content.displayName),
+        picture,
+        nip05: text(content.nip05),
+        createdAt: event.created_at
+    };
+}
+
+// Split an array into chunks of size n
+function chunk(items, n) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += n) {
+        chunks.push(items.slice(i, i + n));
+    }
+    return chunks;
+}
+
+// Lowest per-author since for a multi-author filter (0 if any author has none).
+// Older events this lets through are filtered out by the caller.
+function minSince(authors, since) {
+    let min = Infinity;
+    for (const pubkey of authors) {
+        const ts = since.get(pubkey) || 0;
+        if (ts < min) min = ts;
+    }
+    return min === Infinity ? 0 : min;
+}
+
+// Normalize a relay URL, or null if it is not a usable wss:// relay
+function normalizeRelayUrl(url) {
+    try {
+        const parsed = new URL(url.trim());
+        if (parsed.protocol !== 'wss:') return null;
+        return parsed.href.replace(/\/$/, '');
+    } catch {
+        return null;
+    }
+}
+
+// Extract write relays from a NIP-65 kind-10002 event
+// ('r' tags without a marker are both read and write)
+function parseWriteRelays(event) {
+    const relays = new Set();
+    for (const tag of event.tags || []) {
+        if (tag[0] !== 'r' || !tag[1]) continue;
+        if (tag[2] && tag[2] !== 'write') continue;
+        const url = normalizeRelayUrl(tag[1]);
+        if (url) relays.add(url);
+    }
+    return [...relays];
+}
+
 class RelayConnection {
-    constructor(url) {
+    // signAuth: optional async (unsigned event) => signed event, used to answer
+    // NIP-42 AUTH challenges when the relay closes a request with auth-required
+    constructor(url, signAuth = null) {
         this.url = url;
+        this.signAuth = signAuth;
+        this.challenge = null; // Latest NIP-42 challenge from the relay
+        this.authenticated = false;
+        this.authRefused = false; // Signer or relay said no; don't ask again
+        this.authPromise = null; // In-flight authenticate()
+        this.authWaiter = null; // { id, resolve } awaiting the relay's OK
         this.ws = null;
         this.ready = false;
-        this.pending = new Map(); // subId -> { resolve, follows, createdAt, done }
+        this.pending = new Map(); // subId -> { resolve, authors, kind, all, events, done }
+        this.subscriptions = new Map(); // subId -> onEvent, for long-lived REQs
+        this.onDisconnect = null;
         this.delay = BASE_DELAY; // Adaptive delay
         this.lastRequest = 0;
         this.successCount = 0;
         this.errorCount = 0;
+        this.rejectedCount = 0; // Events that failed NIP-01 validation
         this.inFlight = 0; // Current requests in flight
+        this.lastUsed = 0;
+
+        // Health metrics, persisted per relay after each sync (see getStats)
+        this.connectMs = null; // Time to open the socket, null if it never opened
+        this.requestCount = 0;
+        this.timeoutCount = 0;
+        this.noticeCount = 0;
+        this.closedCount = 0;
+        this.eventCount = 0; // Events received for our requests
+        this.responseCount = 0; // Requests answered with EOSE
+        this.responseMsTotal = 0;
+        this.reportedStats = null; // getStats() as of the last takeStats()
     }
 
     async connect() {
+        const startedAt = Date.now();
         return new Promise((resolve) => {
             const timeout = setTimeout(() => {
                 this.ready = false;
@@ -49,6 +189,7 @@ class RelayConnection {
                 this.ws.onopen = () => {
                     clearTimeout(timeout);
                     this.ready = true;
+                    this.connectMs = Date.now() - startedAt;
                     resolve(true);
                 };
 
@@ -61,7 +202,12 @@ class RelayConnection {
                 };
 
                 this.ws.onclose = () => {
+                    const wasReady = this.ready;
                     this.ready = false;
+                    this.subscriptions.clear();
+                    if (wasReady && this.onDisconnect) {
+                        this.onDisconnect(this);
+                    }
                     // Resolve any pending requests
                     for (const req of this.pending.values()) {
                         if (!req.done) {
@@ -70,6 +216,7 @@ class RelayConnection {
                         }
                     }
                     this.pending.clear();
+                    this.authWaiter?.resolve(false);
                 };
             } catch (e) {
                 clearTimeout(timeout);
@@ -85,14 +232,24 @@ class RelayConnection {
 
             if (type === 'EVENT') {
                 const nostrEvent = rest[0];
+                const onEvent = this.subscriptions.get(subId);
+                if (onEvent) {
+                    onEvent(nostrEvent);
+                    return;
+                }
                 const req = this.pending.get(subId);
                 if (req && !req.done) {
-                    // Keep newest event
-                    if (!req.createdAt || nostrEvent.created_at > req.createdAt) {
-                        req.createdAt = nostrEvent.created_at;
-                        req.follows = (nostrEvent.tags || [])
-                            .filter(tag => tag[0] === 'p' && tag[1])
-                            .map(tag => tag[1]);
+                    // Collect candidates per author, verified once the relay is done sending
+                    this.eventCount++;
+                    if (nostrEvent?.kind === req.kind && req.authors.has(nostrEvent.pubkey)) {
+                        const candidates = req.events.get(nostrEvent.pubkey);
+                        if (candidates) {
+                            candidates.push(nostrEvent);
+                        } else {
+                            req.events.set(nostrEvent.pubkey, [nostrEvent]);
+                        }
+                    } else {
+                        this.rejectedCount++;
                     }
                 }
             } else if (type === 'EOSE') {
@@ -101,21 +258,44 @@ class RelayConnection {
                     req.done = true;
                     this.inFlight--;
                     this.recordSuccess();
+                    this.responseCount++;
+                    this.responseMsTotal += Date.now() - req.sentAt;
                     try { this.ws.send(JSON.stringify(['CLOSE', subId])); } catch (e) {}
-                    req.resolve(req.follows || []);
                     this.pending.delete(subId);
+                    this.resolveAuthors(req, true);
                 }
+            } else if (type === 'AUTH') {
+                // NIP-42 challenge; only answered once a request needs it
+                this.challenge = subId;
+            } else if (type === 'OK') {
+                if (this.authWaiter?.id === subId) {
+                    this.authWaiter.resolve(rest[0] === true);
+                }
+            } else if (type === 'CLOSED' && this.subscriptions.has(subId)) {
+                // Relay dropped a live subscription
+                this.closedCount++;
+                this.subscriptions.delete(subId);
+                this.recordError();
             } else if (type === 'CLOSED' || type === 'NOTICE') {
+                if (type === 'NOTICE') {
+                    this.noticeCount++;
+                } else {
+                    this.closedCount++;
+                }
                 const req = this.pending.get(subId);
                 if (req && !req.done) {
+                    if (type === 'CLOSED' && String(rest[0]).startsWith('auth-required:') && !req.authRetried && this.signAuth) {
+                        this.retryAfterAuth(subId, req);
+                        return;
+                    }
                     req.done = true;
                     this.inFlight--;
                     // CLOSED/NOTICE might indicate throttling
                     if (type === 'NOTICE') {
                         this.recordError();
                     }
-                    req.resolve(req.follows || []);
                     this.pending.delete(subId);
+                    this.resolveAuthors(req, false);
                 }
             }
         } catch (e) {
@@ -123,6 +303,154 @@ class RelayConnection {
         }
     }
 
+    // Authenticate, then send a request closed with auth-required again.
+    // If that is not possible the request ends like any other cut-off request:
+    // its authors count as failed here, never as having no events.
+    async retryAfterAuth(subId, req) {
+        req.authRetried = true;
+        clearTimeout(req.timer); // The signer may prompt the user
+
+        const ok = await this.authenticate();
+        if (req.done) return; // Connection closed meanwhile
+
+        if (ok) {
+            try {
+                this.ws.send(JSON.stringify(['REQ', subId, req.filter]));
+                req.sentAt = Date.now();
+                req.timer = setTimeout(req.onTimeout, REQUEST_TIMEOUT);
+                return;
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        req.done = true;
+        this.inFlight--;
+        this.recordError();
+        this.pending.delete(subId);
+        this.resolveAuthors(req, false);
+    }
+
+    // Answer the relay's latest NIP-42 challenge with a kind-22242 event from signAuth.
+    // Concurrent callers share one attempt, and a refusal is remembered so the user
+    // is not asked again on this connection. Resolves true once the relay accepts.
+    authenticate() {
+        if (this.authenticated) return Promise.resolve(true);
+        if (!this.signAuth || !this.challenge || this.authRefused) return Promise.resolve(false);
+
+        if (!this.authPromise) {
+            this.authPromise = this._authenticate().then(ok => {
+                this.authenticated = ok;
+                this.authRefused = !ok;
+                this.authPromise = null;
+                return ok;
+            });
+        }
+        return this.authPromise;
+    }
+
+    async _authenticate() {
+        const template = {
+            kind: 22242,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [['relay', this.url], ['challenge', this.challenge]],
+            content: ''
+        };
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => finish(false), AUTH_TIMEOUT);
+            const finish = (ok) => {
+                clearTimeout(timer);
+                this.authWaiter = null;
+                resolve(ok);
+            };
+
+            Promise.resolve()
+                .then(() => this.signAuth(template))
+                .then((event) => {
+                    if (!event?.id || !event.sig || !this.ready) {
+                        finish(false);
+                        return;
+                    }
+                    this.authWaiter = { id: event.id, resolve: finish };
+                    this.ws.send(JSON.stringify(['AUTH', event]));
+                })
+                .catch(() => finish(false));
+        });
+    }
+
+    // Resolve a finished request with the newest authentic event per author
+    // (every authentic event, newest first, if req.all is set).
+    // Authors whose candidates all fail validation count as failed, so the
+    // caller asks another relay instead of trusting this one.
+    // complete: false if the relay stopped before EOSE (timeout/CLOSED)
+    async resolveAuthors(req, complete) {
+        const events = new Map();
+        const missing = new Set();
+        const failed = new Set();
+        let received = 0; // Events the relay sent, valid or not (see filter.limit)
+
+        for (const author of req.authors) {
+            const candidates = (req.events.get(author) || []).sort((a, b) => b.created_at - a.created_at);
+            received += candidates.length;
+            const valid = [];
+
+            for (const event of candidates) {
+                if (await verifyEvent(event)) {
+                    valid.push(event);
+                    if (!req.all) break;
+                } else {
+                    this.rejectedCount++;
+                }
+            }
+
+            if (valid.length > 0) {
+                events.set(author, req.all ? valid : valid[0]);
+            } else if (candidates.length > 0 || !complete) {
+                failed.add(author);
+            } else {
+                missing.add(author);
+            }
+        }
+
+        req.resolve({ events, missing, failed, received });
+    }
+
+    // getStats() less what earlier calls returned, so a connection that stays open
+    // can be reported during a sync and again when it closes. connected is null
+    // after the first report, so its connect is counted once.
+    takeStats() {
+        const stats = this.getStats();
+        const reported = this.reportedStats;
+        this.reportedStats = stats;
+        if (!reported) return stats;
+
+        const delta = { url: this.url, connected: null, connectMs: 0 };
+        for (const [key, value] of Object.entries(stats)) {
+            if (!(key in delta)) delta[key] = value - reported[key];
+        }
+        return delta;
+    }
+
+    // Counters for the persisted per-relay health metrics (see storage.addRelayStats)
+    getStats() {
+        return {
+            url: this.url,
+            connected: this.connectMs !== null,
+            connectMs: this.connectMs ?? 0,
+            requests: this.requestCount,
+            successes: this.successCount,
+            errors: this.errorCount,
+            timeouts: this.timeoutCount,
+            notices: this.noticeCount,
+            closed: this.closedCount,
+            events: this.eventCount,
+            rejected: this.rejectedCount,
+            responses: this.responseCount,
+            responseMsTotal: this.responseMsTotal
+        };
+    }
+
     recordSuccess() {
         this.successCount++;
         // Gradually decrease delay on success
@@ -137,7 +465,16 @@ class RelayConnection {
         this.delay = Math.min(MAX_DELAY, this.delay * 1.5);
     }
 
-    async fetch(pubkey) {
+    // Fetch the newest valid event of a given kind for each of several authors
+    // with a single REQ.
+    // since: only ask for events newer than this timestamp (0 = no lower bound)
+    // options.all: keep every valid event (non-replaceable kinds); options.limit: REQ limit
+    // Resolves { events: Map<author, event>, missing: Set, failed: Set } where
+    // missing authors returned nothing before EOSE and failed authors only sent
+    // invalid events or were cut off (timeout/CLOSED). With options.all, events
+    // maps each author to an array. Resolves null if the request could not be made.
+    async fetchAuthors(authors, kind, since = 0, options = {}) {
+        this.lastUsed = Date.now();
         if (!this.ready || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
             return null;
         }
@@ -159,38 +496,58 @@ class RelayConnection {
         return new Promise((resolve) => {
             const subId = `s${Math.random().toString(36).slice(2, 10)}`;
 
-            const timeout = setTimeout(() => {
+            const filter = {
+                kinds: [kind],
+                authors
+            };
+            if (since > 0) {
+                filter.since = since;
+            }
+            if (options.limit) {
+                filter.limit = options.limit;
+            }
+            if (options.until) {
+                filter.until = options.until;
+            }
+
+            const onTimeout = () => {
                 const req = this.pending.get(subId);
                 if (req && !req.done) {
+                    // Keep what arrived so far; the rest count as failed
                     req.done = true;
                     this.inFlight--;
+                    this.timeoutCount++;
                     this.recordError();
                     this.pending.delete(subId);
-                    resolve(null);
+                    try { this.ws.send(JSON.stringify(['CLOSE', subId])); } catch (e) {}
+                    this.resolveAuthors(req, false);
                 }
-            }, REQUEST_TIMEOUT);
+            };
 
             const req = {
-                follows: null,
-                createdAt: 0,
+                authors: new Set(authors),
+                kind,
+                filter, // Kept to re-send after NIP-42 AUTH
+                all: !!options.all,
+                events: new Map(), // author -> candidate events
                 done: false,
-                resolve: (follows) => {
-                    clearTimeout(timeout);
-                    resolve(follows);
+                timer: setTimeout(onTimeout, REQUEST_TIMEOUT),
+                onTimeout,
+                resolve: (result) => {
+                    clearTimeout(req.timer);
+                    resolve(result);
                 }
             };
 
             this.pending.set(subId, req);
             this.inFlight++;
+            this.requestCount++;
+            req.sentAt = Date.now();
 
             try {
-                this.ws.send(JSON.stringify(['REQ', subId, {
-                    kinds: [3],
-                    authors: [pubkey],
-                    limit: 1
-                }]));
+                this.ws.send(JSON.stringify(['REQ', subId, filter]));
             } catch (e) {
-                clearTimeout(timeout);
+                clearTimeout(req.timer);
                 req.done = true;
                 this.inFlight--;
                 this.pending.delete(subId);
@@ -200,7 +557,35 @@ class RelayConnection {
         });
     }
 
+    // Open a long-lived subscription. onEvent is called for every EVENT
+    // (stored and live) until unsubscribe() or the socket closes.
+    // Returns the subscription id, or null if the relay is not connected.
+    subscribe(filters, onEvent) {
+        if (!this.ready || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return null;
+        }
+
+        const subId = `l${Math.random().toString(36).slice(2, 10)}`;
+        this.subscriptions.set(subId, onEvent);
+
+        try {
+            this.ws.send(JSON.stringify(['REQ', subId, ...filters]));
+        } catch (e) {
+            this.subscriptions.delete(subId);
+            return null;
+        }
+        return subId;
+    }
+
+    unsubscribe(subId) {
+        if (!this.subscriptions.delete(subId)) return;
+        try { this.ws.send(JSON.stringify(['CLOSE', subId])); } catch (e) {}
+    }
+
     close() {
+        this.onDisconnect = null;
+        this.subscriptions.clear();
+        this.authWaiter?.resolve(false);
         if (this.ws && this.ws.readyState < 2) {
             try { this.ws.close(); } catch (e) {}
         }
@@ -219,7 +604,10 @@ export class GraphSync {
     constructor(relays) {
         this.relayUrls = relays;
         this.connections = []; // Array of RelayConnection
+        this.pool = null; // RelayPool for authors' outbox relays
         this.onProgress = null;
+        this.signAuth = null; // Optional NIP-42 signer for the configured relays, see RelayConnection
+        this.relaySamples = []; // RelayConnection.takeStats() of closed connections
         this.lastProgressTime = 0;
         this.aborted = false;
     }
@@ -229,7 +617,22 @@ export class GraphSync {
         this.closeConnections();
     }
 
-    async syncFromPubkey(rootPubkey, maxDepth = 2) {
+    // options.incremental: re-check lists we already hold, asking relays only for
+    // kind-3 events newer than the stored one, instead of reusing them as-is
+    // options.checkpoint: saved 'syncCheckpoint' meta to continue an interrupted crawl
+    // options.budget: { maxNodes, maxBytes, maxTimeMs } - stop crawling (as a completed,
+    // truncated sync) once any is reached; 0 or missing means unlimited
+    async syncFromPubkey(rootPubkey, maxDepth = 2, options = {}) {
+        return this.syncFromPubkeys([rootPubkey], maxDepth, options);
+    }
+
+    // Crawl from several trust anchors at once into the shared graph: every anchor
+    // is a depth-0 node, so depths are distances from the nearest anchor.
+    // Same options as syncFromPubkey.
+    async syncFromPubkeys(rootPubkeys, maxDepth = 2, options = {}) {
+        if (!Array.isArray(rootPubkeys) || rootPubkeys.length === 0) {
+            throw new Error('No root pubkeys to sync from');
+        }
         if (syncInProgress) {
             throw new Error('Sync already in progress');
         }
@@ -238,39 +641,73 @@ export class GraphSync {
         this.aborted = false;
         currentSyncInstance = this;
 
+        const checkpoint = options.checkpoint || null;
+        const incremental = checkpoint ? !!checkpoint.incremental : !!options.incremental;
+        const roots = [...new Set(rootPubkeys)];
+
         await storage.setMeta('syncState', {
             inProgress: true,
             startTime: Date.now(),
-            rootPubkey,
-            maxDepth
+            rootPubkey: roots[0],
+            rootPubkeys: roots,
+            maxDepth,
+            incremental,
+            resumed: !!checkpoint
         });
+        if (!checkpoint) {
+            await storage.setMeta('syncCheckpoint', null);
+        }
 
         try {
             await this.openConnections();
-            return await this._doSync(rootPubkey, maxDepth);
+            return await this._doSync(roots, maxDepth, incremental, checkpoint, options.budget || {});
         } finally {
             this.closeConnections();
             syncInProgress = false;
             currentSyncInstance = null;
             await storage.setMeta('syncState', { inProgress: false });
+            await this.saveRelayStats();
         }
     }
 
+    // Persist relay health gathered so far, open connections included, so a
+    // service worker stopped mid-sync loses at most one checkpoint interval of it
+    async saveRelayStats() {
+        const samples = this.relaySamples.splice(0);
+        for (const conn of this.connections) {
+            samples.push(conn.takeStats());
+        }
+        if (this.pool) {
+            samples.push(...this.pool.takeStats());
+        }
+        await storage.addRelayStats(samples, this.relayUrls);
+    }
+
     async openConnections() {
         // Create and connect to all relays
         const connectPromises = this.relayUrls.map(async (url) => {
-            const conn = new RelayConnection(url);
+            const conn = new RelayConnection(url, this.signAuth);
             const success = await conn.connect();
             return { conn, success };
         });
 
         const results = await Promise.all(connectPromises);
         this.connections = results.filter(r => r.success).map(r => r.conn);
+        for (const { conn, success } of results) {
+            if (!success) {
+                this.relaySamples.push(conn.takeStats());
+                conn.close();
+            }
+        }
 
         if (this.connections.length === 0) {
             throw new Error('Could not connect to any relay');
         }
 
+        // Outbox relays come from anyone's kind-10002 list: they never get to prompt
+        // the signer (or learn the user's pubkey), so auth-required there counts as an error
+        this.pool = new RelayPool(MAX_OUTBOX_CONNECTIONS);
+
         if (this.onProgress) {
             this.onProgress({
                 fetched: 0,
@@ -288,14 +725,26 @@ export class GraphSync {
 
     closeConnections() {
         for (const conn of this.connections) {
+            this.relaySamples.push(conn.takeStats());
             conn.close();
         }
         this.connections = [];
+        if (this.pool) {
+            this.pool.closeAll();
+            this.relaySamples.push(...this.pool.takeStats());
+        }
+    }
+
+    // Events dropped for failing id/signature/author checks, across all relays
+    getRejectedCount() {
+        const configured = this.connections.reduce((sum, conn) => sum + conn.rejectedCount, 0);
+        return configured + (this.pool ? this.pool.getRejectedCount() : 0);
     }
 
     // Get best relay for next request (least busy, lowest delay)
-    getBestRelay() {
-        const ready = this.connections.filter(c => c.ready);
+    // exclude: optional Set of connections to skip (already tried)
+    getBestRelay(exclude = null) {
+        const ready = this.connections.filter(c => c.ready && !exclude?.has(c));
         if (ready.length === 0) return null;
 
         // Sort by: fewest in-flight, then lowest delay
@@ -307,33 +756,132 @@ export class GraphSync {
         return ready[0];
     }
 
-    async _doSync(rootPubkey, maxDepth) {
-        const toFetch = [{ pubkey: rootPubkey, depth: 0 }];
-        const fetched = new Set();
-        const failed = new Set();
-        const reused = new Set();
-        const queued = new Set([rootPubkey]);
-        const nodesPerDepth = {};
+    async _doSync(roots, maxDepth, incremental = false, checkpoint = null, budget = {}) {
+        // Checkpoints hold numeric pubkey ids (see saveCheckpoint)
+        const fromIds = ids => Array.from(ids || [], id => storage.getPubkey(id));
+        const toFetch = checkpoint
+            ? fromIds(checkpoint.toFetch).map((pubkey, i) => ({ pubkey, depth: checkpoint.toFetchDepths[i] }))
+            : roots.map(pubkey => ({ pubkey, depth: 0 }));
+        const fetched = new Set(fromIds(checkpoint?.fetched));
+        const failed = new Set(fromIds(checkpoint?.failed));
+        const notFound = new Set(fromIds(checkpoint?.notFound)); // Relays answered, but had no list
+        const reused = new Set(fromIds(checkpoint?.reused));
+        const updated = new Set(fromIds(checkpoint?.updated)); // Stored lists replaced by a newer event (incremental only)
+        const queued = new Set(toFetch.map(item => item.pubkey));
+        const nodesPerDepth = checkpoint ? { ...checkpoint.nodesPerDepth } : {};
+        const rejectedBefore = checkpoint?.rejected || 0;
+        const getRejected = () => rejectedBefore + this.getRejectedCount();
+        let lastCheckpoint = Date.now();
+
+        // Crawl order within a BFS level: pubkeys followed by more of the lists
+        // already crawled go first, so a truncated sync keeps the best-connected nodes
+        const referrers = new Map(fromIds(checkpoint?.referrers)
+            .map((pubkey, i) => [pubkey, checkpoint.referrerCounts[i]])); // queued pubkey -> crawled lists following it
+        let rankedDepth = checkpoint ? (toFetch[0]?.depth ?? 0) : 0;
+
+        const startTime = Date.now();
+        let lastSizeCheck = 0;
+        let truncated = null;
+
+        // Name of the first exhausted budget, or null
+        const exceededBudget = async () => {
+            if (budget.maxNodes && fetched.size + reused.size >= budget.maxNodes) return 'maxNodes';
+            if (budget.maxTimeMs && Date.now() - startTime >= budget.maxTimeMs) return 'maxTimeMs';
+            if (budget.maxBytes && Date.now() - lastSizeCheck >= SIZE_CHECK_INTERVAL) {
+                lastSizeCheck = Date.now();
+                await storage.flushWriteBuffer();
+                if (await storage.getDatabaseSize() >= budget.maxBytes) return 'maxBytes';
+            }
+            return null;
+        };
+
+        // Persist the frontier so an interrupted crawl can be resumed.
+        // Only taken between batches, after buffered follow lists hit the DB.
+        // Pubkeys are stored as their numeric ids in typed arrays, 4 bytes each
+        // instead of a 64-char string, since the sets are rewritten in full each time.
+        const toIds = pubkeys => Uint32Array.from(storage.getOrCreateIds([...pubkeys]));
+        const saveCheckpoint = async () => {
+            const checkpointData = {
+                rootPubkey: roots[0],
+                rootPubkeys: roots,
+                maxDepth,
+                incremental,
+                toFetch: toIds(toFetch.map(item => item.pubkey)),
+                toFetchDepths: Uint8Array.from(toFetch, item => item.depth),
+                fetched: toIds(fetched),
+                failed: toIds(failed),
+                notFound: toIds(notFound),
+                reused: toIds(reused),
+                updated: toIds(updated),
+                nodesPerDepth: { ...nodesPerDepth },
+                referrers: toIds(referrers.keys()),
+                referrerCounts: Uint32Array.from(referrers.values()),
+                rejected: getRejected(),
+                savedAt: Date.now()
+            };
+            // Also writes any ids just created (for roots never fetched)
+            await storage.flushWriteBuffer();
+            await storage.setMeta('syncCheckpoint', checkpointData);
+            await this.saveRelayStats();
+            lastCheckpoint = Date.now();
+        };
+
+        const enqueueFollows = (follows, depth) => {
+            if (depth >= maxDepth) return;
+            for (const f of follows) {
+                if (fetched.has(f) || failed.has(f) || notFound.has(f) || reused.has(f)) continue;
+                referrers.set(f, (referrers.get(f) || 0) + 1);
+                if (!queued.has(f)) {
+                    queued.add(f);
+                    toFetch.push({ pubkey: f, depth: depth + 1 });
+                }
+            }
+        };
+
+        const reuseStored = async (pubkey, depth) => {
+            const follows = await storage.getFollows(pubkey);
+            reused.add(pubkey);
+            nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
+            enqueueFollows(follows, depth);
+        };
 
         while (toFetch.length > 0) {
             if (this.aborted) {
+                await saveCheckpoint();
                 return {
                     nodes: fetched.size + reused.size,
                     fetched: fetched.size,
                     reused: reused.size,
+                    updated: updated.size,
                     failed: failed.size,
+                    notFound: notFound.size,
+                    rejected: getRejected(),
                     nodesPerDepth,
                     aborted: true
                 };
             }
 
-            // Get batch of pubkeys
+            truncated = await exceededBudget();
+            if (truncated) break;
+
+            // A new level starts once the one above is fully crawled, so its
+            // referrer counts are final: rank it
+            if (toFetch[0].depth > rankedDepth) {
+                rankedDepth = toFetch[0].depth;
+                toFetch.sort((a, b) => (referrers.get(b.pubkey) || 0) - (referrers.get(a.pubkey) || 0));
+            }
+
+            // Get batch of pubkeys, no larger than what is left of the node budget
             const batch = [];
             const batchDepths = new Map();
+            const batchSize = budget.maxNodes
+                ? Math.min(BATCH_SIZE, budget.maxNodes - fetched.size - reused.size)
+                : BATCH_SIZE;
 
-            while (batch.length < BATCH_SIZE && toFetch.length > 0) {
+            while (batch.length < batchSize && toFetch.length > 0) {
                 const item = toFetch.shift();
-                if (!fetched.has(item.pubkey) && !failed.has(item.pubkey) && !reused.has(item.pubkey)) {
+                referrers.delete(item.pubkey);
+                if (!fetched.has(item.pubkey) && !failed.has(item.pubkey) && !notFound.has(item.pubkey) && !reused.has(item.pubkey)) {
                     batch.push(item.pubkey);
                     batchDepths.set(item.pubkey, item.depth);
                 }
@@ -343,19 +891,29 @@ export class GraphSync {
 
             // Check storage for cached data
             const toFetchFromRelays = [];
+            const since = new Map(); // pubkey -> only fetch events newer than this
             for (const pubkey of batch) {
                 if (await storage.hasFollows(pubkey)) {
-                    const follows = await storage.getFollows(pubkey);
+                    const createdAt = incremental ? await storage.getFollowsCreatedAt(pubkey) : null;
+                    if (createdAt) {
+                        since.set(pubkey, createdAt + 1);
+                        toFetchFromRelays.push(pubkey);
+                    } else if (incremental) {
+                        // Stored without a timestamp (legacy data) - fetch it in full
+                        toFetchFromRelays.push(pubkey);
+                    } else {
+                        await reuseStored(pubkey, batchDepths.get(pubkey));
+                    }
+                } else if (storage.getFetchState(pubkey)?.retryAt > Date.now()) {
+                    // Missed recently - wait for the scheduled retry instead of asking again
                     const depth = batchDepths.get(pubkey);
-                    reused.add(pubkey);
-                    nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
-
-                    if (depth < maxDepth) {
-                        for (const f of follows) {
-                            if (!fetched.has(f) && !failed.has(f) && !reused.has(f) && !queued.has(f)) {
-                                queued.add(f);
-                                toFetch.push({ pubkey: f, depth: depth + 1 });
-                            }
+                    if (storage.getFetchState(pubkey).status === 'not_found') {
+                        notFound.add(pubkey);
+                        nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
+                    } else {
+                        failed.add(pubkey);
+                        if (depth === maxDepth) {
+                            nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
                         }
                     }
                 } else {
@@ -365,33 +923,67 @@ export class GraphSync {
 
             // Fetch from relays - distribute across connections
             if (toFetchFromRelays.length > 0) {
-                const results = await this.fetchBatch(toFetchFromRelays);
+                // Learn (or re-check) where these authors publish before asking for their lists
+                const dueRelayLists = toFetchFromRelays.filter(pk => storage.isRelayListDue(pk));
+                if (dueRelayLists.length > 0) {
+                    await this.fetchRelayLists(dueRelayLists, incremental);
+                }
+
+                // Along with the follow lists, and concurrently rather than one kind after
+                // another: mute lists and reports of the same authors (negative signals),
+                // and names and pictures for human-readable results
+                const [results] = await Promise.all([
+                    this.fetchBatch(toFetchFromRelays, since),
+                    this.fetchMuteLists(toFetchFromRelays, incremental),
+                    this.fetchReports(toFetchFromRelays, incremental),
+                    this.fetchProfiles(toFetchFromRelays, incremental)
+                ]);
+
+                // Stopped mid-batch: requeue rather than record these as failed
+                if (this.aborted) {
+                    toFetch.unshift(...toFetchFromRelays.map(pubkey => ({ pubkey, depth: batchDepths.get(pubkey) })));
+                    continue;
+                }
 
+                const statuses = [];
                 for (const pubkey of toFetchFromRelays) {
-                    const follows = results.get(pubkey);
+                    const result = results.get(pubkey);
                     const depth = batchDepths.get(pubkey);
+                    const stored = since.has(pubkey) || await storage.hasFollows(pubkey);
 
-                    if (follows === null) {
+                    if (result === null && stored) {
+                        // Could not check for updates - keep what we have
+                        await reuseStored(pubkey, depth);
+                    } else if (result === null) {
                         failed.add(pubkey);
+                        statuses.push({ pubkey, status: 'error' });
                         // Still count nodes at max depth as reachable (we found a path to them)
                         if (depth === maxDepth) {
                             nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
                         }
+                    } else if (result.follows === null && stored) {
+                        // Nothing newer than the stored list (or relays lost it) - keep ours
+                        await reuseStored(pubkey, depth);
+                    } else if (result.follows === null) {
+                        // Relays answered without a list: unknown, not "follows nobody"
+                        notFound.add(pubkey);
+                        statuses.push({ pubkey, status: 'not_found', relays: result.relays });
+                        nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
+                    } else if (since.has(pubkey) && result.createdAt < since.get(pubkey)) {
+                        // Nothing newer than the stored list
+                        await reuseStored(pubkey, depth);
                     } else {
                         fetched.add(pubkey);
-                        storage.saveFollows(pubkey, follows);
-                        nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
-
-                        if (depth < maxDepth) {
-                            for (const f of follows) {
-                                if (!fetched.has(f) && !failed.has(f) && !reused.has(f) && !queued.has(f)) {
-                                    queued.add(f);
-                                    toFetch.push({ pubkey: f, depth: depth + 1 });
-                                }
-                            }
+                        if (stored) {
+                            updated.add(pubkey);
                         }
+                        storage.saveFollows(pubkey, result.follows, result.createdAt);
+                        statuses.push({ pubkey, status: 'found', createdAt: result.createdAt, relays: result.relays });
+                        nodesPerDepth[depth] = (nodesPerDepth[depth] || 0) + 1;
+                        enqueueFollows(result.follows, depth);
                     }
                 }
+                await storage.saveFetchStatuses(statuses);
             }
 
             // Progress update
@@ -402,13 +994,20 @@ export class GraphSync {
                 this.onProgress({
                     fetched: fetched.size,
                     reused: reused.size,
+                    updated: updated.size,
+                    rejected: getRejected(),
                     pending: toFetch.length,
+                    outboxRelays: this.pool ? this.pool.size : 0,
                     currentDepth: maxDepthSoFar,
                     maxDepth,
                     nodesPerDepth: { ...nodesPerDepth },
                     total: fetched.size + reused.size
                 });
             }
+
+            if (toFetch.length > 0 && now - lastCheckpoint >= CHECKPOINT_INTERVAL) {
+                await saveCheckpoint();
+            }
         }
 
         // Final progress
@@ -416,7 +1015,10 @@ export class GraphSync {
             this.onProgress({
                 fetched: fetched.size,
                 reused: reused.size,
-                pending: 0,
+                updated: updated.size,
+                rejected: getRejected(),
+                pending: toFetch.length,
+                truncated,
                 currentDepth: maxDepth,
                 maxDepth,
                 nodesPerDepth: { ...nodesPerDepth },
@@ -428,47 +1030,600 @@ export class GraphSync {
         await storage.setMeta('lastSync', Date.now());
         await storage.setMeta('nodesPerDepth', nodesPerDepth);
         await storage.setMeta('syncDepth', maxDepth);
+        await storage.setMeta('syncCheckpoint', null);
 
         return {
             nodes: fetched.size + reused.size,
             fetched: fetched.size,
             reused: reused.size,
+            updated: updated.size,
             failed: failed.size,
-            nodesPerDepth
+            notFound: notFound.size,
+            rejected: getRejected(),
+            nodesPerDepth,
+            truncated,
+            skipped: toFetch.length
         };
     }
 
-    // Fetch batch of pubkeys, distributing across relays
-    async fetchBatch(pubkeys) {
+    // Fetch follow lists for a batch of pubkeys.
+    // since: optional Map pubkey -> timestamp for incremental requests
+    // Returns Map pubkey -> { follows, createdAt } (follows null if no list exists),
+    // or null for pubkeys no relay could answer for.
+    async fetchBatch(pubkeys, since = new Map()) {
+        const sources = new Map();
+        const events = await this.fetchEvents(pubkeys, 3, since, sources);
+
+        const results = new Map();
+        for (const pubkey of pubkeys) {
+            const event = events.get(pubkey);
+            const relays = [...(sources.get(pubkey) || [])];
+            if (event) {
+                results.set(pubkey, { follows: parseFollows(event), createdAt: event.created_at, relays });
+            } else if (event === null) {
+                results.set(pubkey, { follows: null, createdAt: 0, relays });
+            } else {
+                results.set(pubkey, null);
+            }
+        }
+        return results;
+    }
+
+    // Fetch the newest event of a replaceable kind for each pubkey.
+    // Each author's own write relays (NIP-65) are asked first, grouped per relay,
+    // then the remaining authors go to the configured relays in multi-author REQs.
+    // Returns Map pubkey -> event (null if relays answered without one);
+    // pubkeys no relay could answer for are absent.
+    // sources: optional Map, filled with pubkey -> Set of relay URLs that answered for it
+    async fetchEvents(pubkeys, kind, since = new Map(), sources = null) {
+        const answeredBy = (pubkey, url) => {
+            if (!sources) return;
+            if (!sources.has(pubkey)) sources.set(pubkey, new Set());
+            sources.get(pubkey).add(url);
+        };
+
+        const found = new Map(); // pubkey -> event
+        const notFound = new Set(); // Some relay answered, without a list
+
+        // Outbox relays: round r asks each author's r-th write relay
+        let remaining = pubkeys;
+        for (let round = 0; round < OUTBOX_RELAYS_PER_AUTHOR && remaining.length > 0; round++) {
+            const byRelay = new Map();
+            for (const pubkey of remaining) {
+                const url = storage.getWriteRelays(pubkey)?.[round];
+                if (!url) continue;
+                if (!byRelay.has(url)) byRelay.set(url, []);
+                byRelay.get(url).push(pubkey);
+            }
+
+            await Promise.all([...byRelay].map(async ([url, authors]) => {
+                const relay = await this.getConnection(url);
+                if (!relay) return;
+
+                await Promise.all(chunk(authors, AUTHORS_PER_REQ).map(async (authorsChunk) => {
+                    if (this.aborted) return;
+                    const result = await relay.fetchAuthors(authorsChunk, kind, minSince(authorsChunk, since));
+                    if (!result) return;
+                    for (const [pubkey, event] of result.events) {
+                        found.set(pubkey, event);
+                        answeredBy(pubkey, url);
+                    }
+                    for (const pubkey of result.missing) {
+                        notFound.add(pubkey);
+                        answeredBy(pubkey, url);
+                    }
+                }));
+            }));
+
+            remaining = remaining.filter(pk => !found.has(pk));
+        }
+
+        // Configured relays for everyone not found yet
+        const fallback = await this.fetchFromRelays(remaining, kind, since, {}, answeredBy);
+
         const results = new Map();
-        for (const pk of pubkeys) {
-            results.set(pk, null);
+        for (const pubkey of pubkeys) {
+            const event = found.get(pubkey) || fallback.get(pubkey)?.event;
+            if (event) {
+                results.set(pubkey, event);
+            } else if (fallback.has(pubkey) || notFound.has(pubkey)) {
+                results.set(pubkey, null);
+            }
         }
+        return results;
+    }
+
+    // Fetch the newest event of a kind for each pubkey from the configured relays.
+    // Authors are sent in chunks of AUTHORS_PER_REQ; authors a relay returned
+    // nothing (or nothing valid) for are retried on the next best relay.
+    // options: passed to RelayConnection.fetchAuthors (event is an array with options.all);
+    // options.maxPages: page through full responses, see fetchPages
+    // onAnswer: optional (pubkey, relayUrl) callback for every relay that answered for an author
+    // Returns Map pubkey -> { event } (event null if relays answered without one);
+    // pubkeys no relay could answer for are absent.
+    async fetchFromRelays(pubkeys, kind, since = new Map(), options = {}, onAnswer = null) {
+        const results = new Map();
 
-        // Create fetch promises distributed across relays
-        const fetchPromises = pubkeys.map(async (pubkey) => {
-            // Try relays in order of preference until one succeeds
+        await Promise.all(chunk(pubkeys, AUTHORS_PER_REQ).map(async (authorsChunk) => {
             const tried = new Set();
+            const answered = new Set(); // Authors some relay had nothing for
+            let remaining = authorsChunk;
 
-            for (let attempt = 0; attempt < this.connections.length; attempt++) {
+            while (remaining.length > 0) {
                 if (this.aborted) return;
 
-                const relay = this.getBestRelay();
-                if (!relay || tried.has(relay)) {
+                const relay = this.getBestRelay(tried);
+                if (!relay) {
                     // All relays tried or no relay available
                     break;
                 }
                 tried.add(relay);
 
-                const follows = await relay.fetch(pubkey);
-                if (follows !== null) {
-                    results.set(pubkey, follows);
-                    return;
+                const result = options.maxPages
+                    ? await this.fetchPages(relay, remaining, kind, minSince(remaining, since), options)
+                    : await relay.fetchAuthors(remaining, kind, minSince(remaining, since), options);
+                if (result === null) continue;
+
+                for (const [pubkey, event] of result.events) {
+                    results.set(pubkey, { event });
+                    onAnswer?.(pubkey, relay.url);
                 }
+                for (const pubkey of result.missing) {
+                    answered.add(pubkey);
+                    onAnswer?.(pubkey, relay.url);
+                }
+                remaining = remaining.filter(pk => !result.events.has(pk));
             }
-        });
 
-        await Promise.all(fetchPromises);
+            for (const pubkey of answered) {
+                if (!results.has(pubkey)) results.set(pubkey, { event: null });
+            }
+        }));
+
         return results;
     }
+
+    // relay.fetchAuthors for options.all requests, paging back with `until` while the
+    // relay sends full pages: options.limit caps one REQ for all the authors together,
+    // so a few prolific authors would otherwise crowd out the rest. At most
+    // options.maxPages REQs; a page that fails keeps what the earlier ones returned.
+    async fetchPages(relay, authors, kind, since, options) {
+        const result = await relay.fetchAuthors(authors, kind, since, options);
+        if (result === null) return null;
+
+        const seen = new Set();
+        for (const events of result.events.values()) {
+            for (const event of events) seen.add(event.id);
+        }
+
+        let page = result;
+        for (let pages = 1; pages < options.maxPages && page.received >= options.limit; pages++) {
+            // until is inclusive: events at the boundary second come again and are skipped
+            let until = Infinity;
+            for (const events of page.events.values()) {
+                until = Math.min(until, events[events.length - 1].created_at);
+            }
+            if (until === Infinity) break;
+
+            page = await relay.fetchAuthors(authors, kind, since, { ...options, until });
+            if (page === null) break;
+
+            let added = 0;
+            for (const [author, events] of page.events) {
+                const fresh = events.filter(event => !seen.has(event.id));
+                if (fresh.length === 0) continue;
+                for (const event of fresh) seen.add(event.id);
+                result.events.set(author, [...(result.events.get(author) || []), ...fresh]);
+                result.missing.delete(author);
+                result.failed.delete(author);
+                added += fresh.length;
+            }
+            if (added === 0) break;
+        }
+
+        return result;
+    }
+
+    // Fetch NIP-65 relay lists from the configured relays and store authors' write relays.
+    // Authors relays answered for without a list are stored with an empty one, which
+    // storage re-asks for after a while; authors no relay answered for are not stored.
+    // incremental: only ask for lists newer than the stored ones
+    async fetchRelayLists(pubkeys, incremental = false) {
+        const since = new Map();
+        if (incremental) {
+            for (const pubkey of pubkeys) {
+                const createdAt = storage.getRelayListCreatedAt(pubkey);
+                if (createdAt) since.set(pubkey, createdAt + 1);
+            }
+        }
+
+        const results = await this.fetchFromRelays(pubkeys, 10002, since);
+
+        // Without an event, saveRelayLists keeps a stored newer list and only
+        // records that it was checked
+        const records = [];
+        for (const [pubkey, { event }] of results) {
+            records.push({
+                pubkey,
+                write: event ? parseWriteRelays(event) : [],
+                createdAt: event ? event.created_at : 0
+            });
+        }
+
+        await storage.saveRelayLists(records);
+    }
+
+    // Fetch public mute lists (kind 10000) and store them.
+    // Only the public 'p' tags are read; encrypted private entries are not ours to see.
+    // Authors without a mute list are not recorded.
+    async fetchMuteLists(pubkeys, incremental = false) {
+        const since = new Map();
+        if (incremental) {
+            for (const pubkey of pubkeys) {
+                const createdAt = storage.getMuteListCreatedAt(pubkey);
+                if (createdAt) since.set(pubkey, createdAt + 1);
+            }
+        }
+
+        const events = await this.fetchEvents(pubkeys, 10000, since);
+
+        const records = [];
+        for (const event of events.values()) {
+            if (!event) continue;
+            records.push({
+                pubkey: event.pubkey,
+                mutes: parseFollows(event),
+                createdAt: event.created_at
+            });
+        }
+
+        await storage.saveMuteLists(records);
+    }
+
+    // Fetch NIP-56 reports (kind 1984) authored by in-network pubkeys and store them.
+    // Reports are not replaceable, so every valid event is kept (paging back through up to
+    // REPORT_PAGES full responses per author chunk); in incremental mode only reports
+    // newer than the reporter's latest stored one are asked for.
+    async fetchReports(pubkeys, incremental = false) {
+        const since = new Map();
+        if (incremental) {
+            for (const pubkey of pubkeys) {
+                const latest = storage.getLatestReportTime(pubkey);
+                if (latest) since.set(pubkey, latest + 1);
+            }
+        }
+
+        const results = await this.fetchFromRelays(pubkeys, 1984, since,
+            { all: true, limit: REPORTS_LIMIT, maxPages: REPORT_PAGES });
+
+        const records = [];
+        for (const { event: events } of results.values()) {
+            for (const event of events || []) {
+                records.push(...parseReports(event));
+            }
+        }
+
+        await storage.saveReports(records);
+    }
+
+    // Fetch kind-0 profiles and cache their display fields
+    async fetchProfiles(pubkeys, incremental = false) {
+        const since = new Map();
+        if (incremental) {
+            for (const pubkey of pubkeys) {
+                const createdAt = storage.getProfileCreatedAt(pubkey);
+                if (createdAt) since.set(pubkey, createdAt + 1);
+            }
+        }
+
+        const events = await this.fetchEvents(pubkeys, 0, since);
+
+        const records = [];
+        for (const event of events.values()) {
+            const profile = event && parseProfile(event);
+            if (profile) records.push(profile);
+        }
+
+        await storage.saveProfiles(records);
+    }
+
+    // Connection for an outbox relay: reuse a configured relay if it is one, else the pool
+    async getConnection(url) {
+        const configured = this.connections.find(c => normalizeRelayUrl(c.url) === url);
+        if (configured) {
+            return configured.ready ? configured : null;
+        }
+        return this.pool ? this.pool.get(url) : null;
+    }
+}
+
+// On-demand connections to authors' own relays, capped at maxConnections.
+// When full, the least recently used idle connection is closed to make room.
+// Relays that fail to connect are not retried for the lifetime of the pool.
+class RelayPool {
+    constructor(maxConnections = MAX_OUTBOX_CONNECTIONS) {
+        this.maxConnections = maxConnections;
+        this.connections = new Map(); // url -> RelayConnection
+        this.connecting = new Map(); // url -> Promise<RelayConnection|null>
+        this.dead = new Set();
+        this.closedRejected = 0; // rejectedCount of connections already closed
+        this.samples = []; // takeStats() of closed connections, collected by GraphSync
+    }
+
+    async get(url) {
+        const existing = this.connections.get(url);
+        if (existing?.ready) return existing;
+        if (existing) {
+            this.release(existing);
+        }
+        if (this.dead.has(url)) return null;
+        if (this.connecting.has(url)) return this.connecting.get(url);
+
+        if (this.connections.size + this.connecting.size >= this.maxConnections && !this.evictIdle()) {
+            return null;
+        }
+
+        const promise = (async () => {
+            const conn = new RelayConnection(url);
+            const success = await conn.connect();
+            this.connecting.delete(url);
+
+            if (!success) {
+                this.dead.add(url);
+                this.samples.push(conn.takeStats());
+                conn.close();
+                return null;
+            }
+            this.connections.set(url, conn);
+            return conn;
+        })();
+
+        this.connecting.set(url, promise);
+        return promise;
+    }
+
+    evictIdle() {
+        let oldest = null;
+        for (const conn of this.connections.values()) {
+            if (conn.inFlight === 0 && (!oldest || conn.lastUsed < oldest.lastUsed)) {
+                oldest = conn;
+            }
+        }
+        if (!oldest) return false;
+        this.release(oldest);
+        return true;
+    }
+
+    release(conn) {
+        this.closedRejected += conn.rejectedCount;
+        this.samples.push(conn.takeStats());
+        conn.close();
+        this.connections.delete(conn.url);
+    }
+
+    get size() {
+        return this.connections.size;
+    }
+
+    // Samples of closed connections since the last call, plus what the open ones
+    // gathered since (see RelayConnection.takeStats)
+    takeStats() {
+        const samples = this.samples.splice(0);
+        for (const conn of this.connections.values()) {
+            samples.push(conn.takeStats());
+        }
+        return samples;
+    }
+
+    getRejectedCount() {
+        let count = this.closedRejected;
+        for (const conn of this.connections.values()) {
+            count += conn.rejectedCount;
+        }
+        return count;
+    }
+
+    closeAll() {
+        for (const conn of [...this.connections.values()]) {
+            this.release(conn);
+        }
+    }
+}
+
+// Keeps open kind-3 subscriptions for the authors closest to the root
+// (first hop, optionally second hop) and applies their updates to the
+// local graph as they arrive.
+export class LiveSync {
+    // depth: 1 = follow lists of root and direct follows, 2 = also their follows
+    constructor(relays, depth = 1) {
+        this.relayUrls = relays;
+        this.depth = depth;
+        this.rootPubkey = null;
+        this.connections = new Map(); // url -> RelayConnection
+        this.subIds = new Map(); // url -> [subId]
+        this.reconnectDelay = new Map(); // url -> current backoff (ms)
+        this.reconnectTimers = new Map(); // url -> timer
+        this.authors = new Set();
+        this.since = 0;
+        this.resubscribeTimer = null;
+        this.running = false;
+        this.updates = 0;
+        this.rejected = 0;
+        this.lastUpdate = null;
+        this.onUpdate = null; // ({ pubkey, createdAt, follows }) => void
+    }
+
+    async start(rootPubkey) {
+        this.stop();
+        this.running = true;
+        this.rootPubkey = rootPubkey;
+
+        // Anything newer than the last full sync is an update we have not seen
+        const lastSync = await storage.getMeta('lastSync');
+        this.since = lastSync ? Math.floor(lastSync / 1000) : Math.floor(Date.now() / 1000);
+
+        await this.refreshAuthors();
+        await Promise.all(this.relayUrls.map(url => this.connectRelay(url)));
+    }
+
+    stop() {
+        this.running = false;
+        if (this.resubscribeTimer) {
+            clearTimeout(this.resubscribeTimer);
+            this.resubscribeTimer = null;
+        }
+        for (const timer of this.reconnectTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.reconnectTimers.clear();
+        for (const conn of this.connections.values()) {
+            conn.close();
+        }
+        this.connections.clear();
+        this.subIds.clear();
+    }
+
+    getState() {
+        return {
+            running: this.running,
+            depth: this.depth,
+            authors: this.authors.size,
+            connectedRelays: [...this.connections.values()].filter(c => c.ready).length,
+            totalRelays: this.relayUrls.length,
+            updates: this.updates,
+            rejected: this.rejected,
+            lastUpdate: this.lastUpdate
+        };
+    }
+
+    // Recompute the watched author set from the local graph
+    async refreshAuthors() {
+        const authors = new Set([this.rootPubkey]);
+        let frontier = [this.rootPubkey];
+
+        for (let hop = 0; hop < this.depth; hop++) {
+            const next = [];
+            for (const pubkey of frontier) {
+                for (const f of await storage.getFollows(pubkey)) {
+                    if (!authors.has(f)) {
+                        authors.add(f);
+                        next.push(f);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        this.authors = authors;
+    }
+
+    async connectRelay(url) {
+        if (!this.running) return;
+
+        const conn = new RelayConnection(url);
+        const success = await conn.connect();
+
+        if (!this.running) {
+            conn.close();
+            return;
+        }
+
+        if (!success) {
+            this.scheduleReconnect(url);
+            return;
+        }
+
+        this.reconnectDelay.delete(url);
+        conn.onDisconnect = () => {
+            this.connections.delete(url);
+            this.subIds.delete(url);
+            this.scheduleReconnect(url);
+        };
+        this.connections.set(url, conn);
+        this.subscribeRelay(url);
+    }
+
+    scheduleReconnect(url) {
+        if (!this.running || this.reconnectTimers.has(url)) return;
+
+        const delay = this.reconnectDelay.get(url) || RECONNECT_BASE_DELAY;
+        this.reconnectDelay.set(url, Math.min(RECONNECT_MAX_DELAY, delay * 2));
+
+        this.reconnectTimers.set(url, setTimeout(() => {
+            this.reconnectTimers.delete(url);
+            this.connectRelay(url);
+        }, delay));
+    }
+
+    subscribeRelay(url) {
+        const conn = this.connections.get(url);
+        if (!conn) return;
+
+        for (const subId of this.subIds.get(url) || []) {
+            conn.unsubscribe(subId);
+        }
+
+        const authors = [...this.authors];
+        const subIds = [];
+        for (let i = 0; i < authors.length; i += AUTHORS_PER_SUBSCRIPTION) {
+            const subId = conn.subscribe([{
+                kinds: [3],
+                authors: authors.slice(i, i + AUTHORS_PER_SUBSCRIPTION),
+                since: this.since
+            }], (event) => this.handleEvent(event));
+            if (subId) subIds.push(subId);
+        }
+        this.subIds.set(url, subIds);
+    }
+
+    async handleEvent(event) {
+        if (!event || event.kind !== 3 || !this.authors.has(event.pubkey)) return;
+
+        // Only apply lists newer than what we hold (relays replay stored events)
+        const storedAt = await storage.getFollowsCreatedAt(event.pubkey);
+        if (storedAt && event.created_at <= storedAt) return;
+
+        if (!await verifyEvent(event)) {
+            this.rejected++;
+            return;
+        }
+
+        // A newer list may have been applied while verifying
+        const latestAt = await storage.getFollowsCreatedAt(event.pubkey);
+        if (latestAt && event.created_at <= latestAt) return;
+
+        const follows = parseFollows(event);
+        storage.saveFollows(event.pubkey, follows, event.created_at);
+
+        this.updates++;
+        this.lastUpdate = Date.now();
+        if (this.onUpdate) {
+            this.onUpdate({ pubkey: event.pubkey, createdAt: event.created_at, follows });
+        }
+
+        // A changed list inside the watched radius changes the author set itself
+        if (this.isInnerAuthor(event.pubkey)) {
+            this.scheduleResubscribe();
+        }
+    }
+
+    // Authors whose follows are themselves watched
+    isInnerAuthor(pubkey) {
+        if (pubkey === this.rootPubkey) return true;
+        if (this.depth < 2) return false;
+        return storage.getId(pubkey) !== null &&
+            storage.getFollowIdsSync(storage.getId(this.rootPubkey)).includes(storage.getId(pubkey));
+    }
+
+    scheduleResubscribe() {
+        if (this.resubscribeTimer) return;
+        this.resubscribeTimer = setTimeout(async () => {
+            this.resubscribeTimer = null;
+            if (!this.running) return;
+            await this.refreshAuthors();
+            for (const url of this.connections.keys()) {
+                this.subscribeRelay(url);
+            }
+        }, RESUBSCRIBE_DELAY);
+    }
 }
@@ -0,0 +1,595 @@
+/**
+ * Graph traversal on numeric pubkey ids
+ *
+ * Shared by LocalGraph (in-process) and the graph worker, which only differ in
+ * where the adjacency comes from. A graph is an object with:
+ *   follows(id)        -> Uint32Array of followed ids
+ *   followers(id)      -> iterable of follower ids (for MutualGraph: a Set, or
+ *                         a Uint32Array in ascending order as CsrAdjacency returns)
+ *   version()          -> number bumped on every follow list change
+ *   changesSince(v)    -> ids changed after version v, or null if unknown
+ *   maxId()            -> highest id in use
+ * and optionally, for graphs that page lists in (lazy mode in storage.js):
+ *   complete()         -> false once follows() was asked for a list it does not hold
+ *                         yet; the caller reruns the query after paging it in
+ *   hasFollowerIndex() -> false when followers() misses lists not in memory;
+ *                         searches then only run forward
+ */
+
+export class GraphQueries {
+    constructor(graph) {
+        this.graph = graph;
+        this.indexes = new Map(); // source id -> DistanceIndex
+    }
+
+    // Forget the distance indexes (ids were reassigned)
+    reset() {
+        this.indexes.clear();
+    }
+
+    // Whether followers() can be used to search backwards from a target
+    _canSearchBackward() {
+        return this.graph.hasFollowerIndex?.() ?? true;
+    }
+
+    // Up-to-date distance index for fromId, if the caller asked for one that covers maxHops.
+    // indexHops: depth to index the source to (0 = no index)
+    _getIndex(fromId, maxHops, indexHops) {
+        if (!indexHops || maxHops > indexHops) return null;
+
+        let index = this.indexes.get(fromId);
+        if (!index || index.maxHops !== indexHops) {
+            index = new DistanceIndex(this.graph, fromId, indexHops);
+            this.indexes.set(fromId, index);
+        }
+
+        index.update();
+        return index;
+    }
+
+    // Bidirectional BFS: expands follows from fromId and followers of toId one whole
+    // level at a time, always on the side with the smaller frontier, until the two
+    // searches meet. Shortest-path counts stay exact because every shortest path
+    // crosses the meeting level at exactly one node.
+    // Returns { hops, paths } or null.
+    distance(fromId, toId, maxHops, indexHops = 0) {
+        if (fromId === toId) return { hops: 0, paths: 1 };
+
+        const index = this._getIndex(fromId, maxHops, indexHops);
+        if (index) {
+            const entry = index.lookup(toId);
+            return entry && entry.hops <= maxHops ? entry : null;
+        }
+
+        const forward = createSearch(fromId, id => this.graph.follows(id));
+
+        if (!this._canSearchBackward()) {
+            searchForward(forward, toId, maxHops);
+            const paths = forward.frontier.get(toId);
+            return paths === undefined ? null : { hops: forward.depth, paths };
+        }
+
+        const backward = createSearch(toId, id => this.graph.followers(id));
+
+        while (forward.frontier.size > 0 && backward.frontier.size > 0 &&
+               forward.depth + backward.depth < maxHops) {
+            const [side, other] = forward.frontier.size <= backward.frontier.size
+                ? [forward, backward]
+                : [backward, forward];
+            expandLevel(side);
+
+            // Nodes reached on both sides all lie on shortest paths
+            let paths = 0;
+            for (const [nodeId, count] of side.frontier) {
+                const otherCount = other.frontier.get(nodeId);
+                if (otherCount !== undefined) {
+                    paths += count * otherCount;
+                }
+            }
+
+            if (paths > 0) {
+                return { hops: forward.depth + backward.depth, paths };
+            }
+        }
+
+        return null;
+    }
+
+    // Distances from fromId to several targets with one BFS.
+    // includePaths: if true, calculate accurate path counts (slower); if false, paths will be null
+    // Returns an array of { hops, paths } | null in the order of targetIds.
+    distances(fromId, targetIds, maxHops, includePaths = false, indexHops = 0) {
+        const index = this._getIndex(fromId, maxHops, indexHops);
+        if (index) {
+            return targetIds.map(targetId => {
+                const entry = index.lookup(targetId);
+                return entry && entry.hops <= maxHops
+                    ? { hops: entry.hops, paths: includePaths ? entry.paths : null }
+                    : null;
+            });
+        }
+
+        const found = new Map(); // targetId -> { hops, paths }
+        const remaining = new Set(targetIds);
+        if (remaining.delete(fromId)) {
+            found.set(fromId, { hops: 0, paths: includePaths ? 1 : null });
+        }
+
+        // BFS looking for all targets at once
+        const visited = new Set([fromId]);
+        let frontier = [fromId];
+        let hops = 0;
+
+        // Path counting (only when includePaths is true)
+        const pathCount = includePaths ? new Map([[fromId, 1]]) : null;
+        const targetPaths = includePaths ? new Map() : null; // targetId -> accumulated paths
+        const foundAtHop = new Map(); // targetId -> hop level found
+
+        while (frontier.length > 0 && hops < maxHops && remaining.size > 0) {
+            hops++;
+            const nextFrontier = [];
+            const nextPathCount = includePaths ? new Map() : null;
+
+            for (const nodeId of frontier) {
+                const currentPaths = includePaths ? (pathCount.get(nodeId) || 1) : 0;
+                const followIds = this.graph.follows(nodeId);
+
+                for (let i = 0; i < followIds.length; i++) {
+                    const followedId = followIds[i];
+
+                    if (remaining.has(followedId)) {
+                        if (includePaths) {
+                            // Accumulate paths for this target
+                            targetPaths.set(followedId, (targetPaths.get(followedId) || 0) + currentPaths);
+                            if (!foundAtHop.has(followedId)) {
+                                foundAtHop.set(followedId, hops);
+                            }
+                        } else {
+                            // Without path counting, record immediately
+                            found.set(followedId, { hops, paths: null });
+                            remaining.delete(followedId);
+                        }
+                    }
+
+                    if (!visited.has(followedId)) {
+                        visited.add(followedId);
+                        nextFrontier.push(followedId);
+                        if (includePaths) {
+                            nextPathCount.set(followedId, (nextPathCount.get(followedId) || 0) + currentPaths);
+                        }
+                    } else if (includePaths && nextPathCount.has(followedId)) {
+                        // Node already in next frontier, accumulate paths
+                        nextPathCount.set(followedId, nextPathCount.get(followedId) + currentPaths);
+                    }
+                }
+            }
+
+            // After processing entire hop level, finalize found targets (with paths)
+            if (includePaths) {
+                for (const [targetId, hopFound] of foundAtHop) {
+                    if (hopFound === hops && remaining.has(targetId)) {
+                        found.set(targetId, { hops, paths: targetPaths.get(targetId) });
+                        remaining.delete(targetId);
+                    }
+                }
+            }
+
+            frontier = nextFrontier;
+            if (includePaths) {
+                for (const [nodeId, count] of nextPathCount) {
+                    pathCount.set(nodeId, count);
+                }
+            }
+        }
+
+        return targetIds.map(targetId => found.get(targetId) ?? null);
+    }
+
+    // Check if toId is within maxHops of fromId (faster than full distance calc)
+    within(fromId, toId, maxHops, indexHops = 0) {
+        if (fromId === toId) return true;
+
+        const index = this._getIndex(fromId, maxHops, indexHops);
+        if (index) {
+            const entry = index.lookup(toId);
+            return entry !== null && entry.hops <= maxHops;
+        }
+
+        const visited = new Set([fromId]);
+        let frontier = [fromId];
+        let hops = 0;
+
+        while (frontier.length > 0 && hops < maxHops) {
+            hops++;
+            const nextFrontier = [];
+
+            for (const nodeId of frontier) {
+                const followIds = this.graph.follows(nodeId);
+
+                for (let i = 0; i < followIds.length; i++) {
+                    const followedId = followIds[i];
+
+                    if (followedId === toId) return true;
+
+                    if (!visited.has(followedId)) {
+                        visited.add(followedId);
+                        nextFrontier.push(followedId);
+                    }
+                }
+            }
+
+            frontier = nextFrontier;
+        }
+
+        return false;
+    }
+
+    // For each target, the accounts within maxHops of the nearest source (sources
+    // included) whose follow list contains it, found with one BFS over follows() -
+    // no follower index needed. Returns an array of [followerId, hops] pairs per
+    // target, in the order of targetIds.
+    followersWithin(sourceIds, targetIds, maxHops) {
+        const found = new Map(targetIds.map(id => [id, new Map()]));
+        const visited = new Set(sourceIds);
+        let frontier = [...visited];
+
+        for (let hops = 0; frontier.length > 0; hops++) {
+            const nextFrontier = [];
+
+            for (const nodeId of frontier) {
+                const followIds = this.graph.follows(nodeId);
+
+                for (let i = 0; i < followIds.length; i++) {
+                    const followedId = followIds[i];
+                    found.get(followedId)?.set(nodeId, hops);
+
+                    if (hops < maxHops && !visited.has(followedId)) {
+                        visited.add(followedId);
+                        nextFrontier.push(followedId);
+                    }
+                }
+            }
+
+            frontier = nextFrontier;
+        }
+
+        return targetIds.map(id => [...found.get(id)]);
+    }
+
+    // One shortest path as an array of ids (bidirectional, see distance), or null
+    path(fromId, toId, maxHops) {
+        if (fromId === toId) return [fromId];
+
+        const forward = createSearch(fromId, id => this.graph.follows(id), true);
+
+        if (!this._canSearchBackward()) {
+            searchForward(forward, toId, maxHops);
+            if (!forward.frontier.has(toId)) return null;
+
+            const pathIds = [];
+            for (let current = toId; current !== null; current = forward.parent.get(current)) {
+                pathIds.unshift(current);
+            }
+            return pathIds;
+        }
+
+        const backward = createSearch(toId, id => this.graph.followers(id), true);
+        let meetId = null;
+
+        while (meetId === null && forward.frontier.size > 0 && backward.frontier.size > 0 &&
+               forward.depth + backward.depth < maxHops) {
+            const [side, other] = forward.frontier.size <= backward.frontier.size
+                ? [forward, backward]
+                : [backward, forward];
+            expandLevel(side);
+
+            for (const nodeId of side.frontier.keys()) {
+                if (other.frontier.has(nodeId)) {
+                    meetId = nodeId;
+                    break;
+                }
+            }
+        }
+
+        if (meetId === null) return null;
+
+        // Reconstruct path: from -> meeting node via forward parents, then on to target
+        const pathIds = [];
+        for (let current = meetId; current !== null; current = forward.parent.get(current)) {
+            pathIds.unshift(current);
+        }
+        for (let current = backward.parent.get(meetId); current !== null; current = backward.parent.get(current)) {
+            pathIds.push(current);
+        }
+
+        return pathIds;
+    }
+
+    // Up to limit distinct shortest paths as arrays of ids, or [] if toId is not within
+    // maxHops. nextShortest: once the shortest paths run out, go on with simple paths
+    // one hop longer (still within maxHops).
+    // Uses follows() only: a forward BFS finds the nodes that can lie on such a path,
+    // their hops to toId are worked out among themselves, and a depth-first walk
+    // that never steps onto a node too far from toId lists the paths.
+    paths(fromId, toId, maxHops, limit, nextShortest = false) {
+        if (fromId === toId) return [[fromId]];
+        if (limit <= 0) return [];
+
+        const search = createSearch(fromId, id => this.graph.follows(id));
+        searchForward(search, toId, maxHops);
+        if (!search.frontier.has(toId)) return [];
+
+        const shortest = search.depth;
+        const longest = nextShortest ? Math.min(shortest + 1, maxHops) : shortest;
+
+        // Node at position i of a path of length `longest` is within i hops of fromId,
+        // so only the levels up to longest - 1 matter
+        const candidates = [];
+        for (const nodeId of search.visited) {
+            if (nodeId !== toId && (longest > shortest || !search.frontier.has(nodeId))) {
+                candidates.push(nodeId);
+            }
+        }
+
+        // Hops from each candidate to toId, one level per pass over the candidates
+        const toTarget = new Map([[toId, 0]]);
+        let unreached = candidates;
+        for (let hops = 1; hops <= longest && unreached.length > 0; hops++) {
+            const reached = [];
+            const rest = [];
+            for (const nodeId of unreached) {
+                const followIds = this.graph.follows(nodeId);
+                let adjacent = false;
+                for (let i = 0; i < followIds.length && !adjacent; i++) {
+                    adjacent = toTarget.get(followIds[i]) === hops - 1;
+                }
+                (adjacent ? reached : rest).push(nodeId);
+            }
+            for (const nodeId of reached) toTarget.set(nodeId, hops);
+            unreached = rest;
+        }
+
+        const found = [];
+        const pathIds = [fromId];
+        const onPath = new Set(pathIds);
+
+        // Extend pathIds (ending at nodeId) to toId with exactly `left` more hops
+        const walk = (nodeId, left) => {
+            const followIds = this.graph.follows(nodeId);
+            const tried = new Set(); // Follow lists can name an account twice
+
+            for (let i = 0; i < followIds.length && found.length < limit; i++) {
+                const nextId = followIds[i];
+                if (nextId === toId) {
+                    if (left === 1 && !tried.has(nextId)) found.push([...pathIds, toId]);
+                    tried.add(nextId);
+                    continue;
+                }
+
+                const hops = toTarget.get(nextId);
+                if (hops === undefined || hops >= left || onPath.has(nextId) || tried.has(nextId)) continue;
+                tried.add(nextId);
+
+                pathIds.push(nextId);
+                onPath.add(nextId);
+                walk(nextId, left - 1);
+                onPath.delete(nextId);
+                pathIds.pop();
+            }
+        };
+
+        for (let length = shortest; length <= longest && found.length < limit; length++) {
+            walk(fromId, length);
+        }
+
+        return found;
+    }
+}
+
+// The graph restricted to reciprocal follows: the neighbours of id are the accounts
+// it follows that follow it back. Edges go both ways, so followers() is follows().
+// Not for distance indexes: a changed list also changes the mutual lists of the
+// accounts it dropped, which changesSince cannot name, so every change reads as
+// unknown.
+export class MutualGraph {
+    constructor(graph) {
+        this.graph = graph;
+    }
+
+    follows(id) {
+        const follows = this.graph.follows(id);
+        if (follows.length === 0) return follows;
+
+        if (this.graph.hasFollowerIndex?.() ?? true) {
+            const followers = this.graph.followers(id);
+            if (followers instanceof Set) {
+                return follows.filter(followedId => followers.has(followedId));
+            }
+            // Binary search the sorted follower slice rather than copying it into a
+            // Set on every visit (popular accounts have huge ones)
+            return follows.filter(followedId => sortedIncludes(followers, followedId));
+        }
+
+        // Without a complete follower index, look in each followed account's own list
+        return follows.filter(followedId => this.graph.follows(followedId).includes(id));
+    }
+
+    followers(id) {
+        return this.follows(id);
+    }
+
+    version() {
+        return this.graph.version();
+    }
+
+    changesSince() {
+        return null;
+    }
+
+    maxId() {
+        return this.graph.maxId();
+    }
+
+    complete() {
+        return this.graph.complete?.() ?? true;
+    }
+
+    // followers() is follows(), so it is always complete
+    hasFollowerIndex() {
+        return true;
+    }
+}
+
+// Whether an ascending array of ids contains id
+function sortedIncludes(ids, id) {
+    let low = 0;
+    let high = ids.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >>> 1;
+        if (ids[mid] === id) return true;
+        if (ids[mid] < id) low = mid + 1;
+        else high = mid - 1;
+    }
+    return false;
+}
+
+// One side of a bidirectional search. neighbors: id -> iterable of adjacent ids
+// (follows when searching forward, followers when searching backward).
+// frontier holds the last level reached with its shortest-path counts.
+function createSearch(startId, neighbors, trackParents = false) {
+    return {
+        neighbors,
+        depth: 0,
+        frontier: new Map([[startId, 1]]),
+        visited: new Set([startId]),
+        parent: trackParents ? new Map([[startId, null]]) : null
+    };
+}
+
+// Expand a forward search level by level until it reaches toId (which is then in
+// its frontier) or maxHops
+function searchForward(search, toId, maxHops) {
+    while (search.frontier.size > 0 && search.depth < maxHops && !search.visited.has(toId)) {
+        expandLevel(search);
+    }
+}
+
+// Expand a search by one full level, summing path counts of nodes reached several ways
+function expandLevel(search) {
+    const next = new Map();
+
+    for (const [nodeId, count] of search.frontier) {
+        for (const adjacentId of search.neighbors(nodeId)) {
+            if (search.visited.has(adjacentId)) continue;
+
+            if (!next.has(adjacentId) && search.parent) {
+                search.parent.set(adjacentId, nodeId);
+            }
+            next.set(adjacentId, (next.get(adjacentId) || 0) + count);
+        }
+    }
+
+    for (const nodeId of next.keys()) {
+        search.visited.add(nodeId);
+    }
+    search.frontier = next;
+    search.depth++;
+}
+
+// Hops and shortest-path counts from one source to every node within maxHops,
+// in typed arrays indexed by numeric id. After follow lists change, only the BFS
+// levels below the shallowest changed node are recomputed: a node's own list
+// cannot change its distance, or anything at or above its level.
+class DistanceIndex {
+    constructor(graph, sourceId, maxHops) {
+        this.graph = graph;
+        this.sourceId = sourceId;
+        this.maxHops = maxHops;
+        this.hops = new Uint8Array(0); // hops + 1, 0 = not within maxHops
+        this.paths = new Float64Array(0);
+        this.levels = []; // ids per hop level
+        this.version = null; // graph version the tables reflect
+    }
+
+    // { hops, paths } for a numeric id, or null if not within maxHops
+    lookup(id) {
+        if (id >= this.hops.length || this.hops[id] === 0) return null;
+        return { hops: this.hops[id] - 1, paths: this.paths[id] };
+    }
+
+    // Bring the tables in line with the current follow lists
+    update() {
+        const version = this.graph.version();
+        if (this.version === version) return;
+
+        // Full rebuild on first use or when the changes are no longer known
+        const changes = this.version === null ? null : this.graph.changesSince(this.version);
+        let fromLevel = changes ? this.maxHops : 0;
+        if (changes) {
+            for (const id of changes) {
+                const entry = this.lookup(id);
+                if (entry && entry.hops < fromLevel) {
+                    fromLevel = entry.hops;
+                }
+            }
+        }
+
+        // Lists of nodes at the last level only point beyond maxHops
+        if (fromLevel < this.maxHops) {
+            this._rebuildFrom(fromLevel);
+        }
+
+        // Built from a graph with lists still to page in: start over next time
+        this.version = this.graph.complete?.() === false ? null : version;
+    }
+
+    // Drop everything below level and redo the BFS from that level's nodes
+    _rebuildFrom(level) {
+        const capacity = Math.max(this.graph.maxId(), this.sourceId) + 1;
+
+        if (level === 0) {
+            this.hops = new Uint8Array(capacity);
+            this.paths = new Float64Array(capacity);
+            this.hops[this.sourceId] = 1;
+            this.paths[this.sourceId] = 1;
+            this.levels = [Uint32Array.of(this.sourceId)];
+        } else {
+            for (let h = level + 1; h < this.levels.length; h++) {
+                for (const id of this.levels[h]) {
+                    this.hops[id] = 0;
+                    this.paths[id] = 0;
+                }
+            }
+            this.levels.length = level + 1;
+
+            if (this.hops.length < capacity) {
+                const hops = new Uint8Array(capacity);
+                const paths = new Float64Array(capacity);
+                hops.set(this.hops);
+                paths.set(this.paths);
+                this.hops = hops;
+                this.paths = paths;
+            }
+        }
+
+        for (let h = level; h < this.maxHops && this.levels[h].length > 0; h++) {
+            const next = [];
+            for (const nodeId of this.levels[h]) {
+                const count = this.paths[nodeId];
+                const followIds = this.graph.follows(nodeId);
+
+                for (let i = 0; i < followIds.length; i++) {
+                    const followedId = followIds[i];
+                    if (this.hops[followedId] === 0) {
+                        this.hops[followedId] = h + 2;
+                        this.paths[followedId] = count;
+                        next.push(followedId);
+                    } else if (this.hops[followedId] === h + 2) {
+                        this.paths[followedId] += count;
+                    }
+                }
+            }
+            this.levels.push(Uint32Array.from(next));
+        }
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * NIP-01 event validation
+ *
+ * - id: sha256 of the serialized event must match event.id
+ * - sig: BIP-340 Schnorr signature of the id by event.pubkey (secp256k1)
+ *
+ * Pure JS (BigInt + WebCrypto SHA-256), no dependencies.
+ */
+
+// secp256k1 curve parameters
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n;
+const GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n;
+
+const HEX_64 = /^[a-f0-9]{64}$/;
+const HEX_128 = /^[a-f0-9]{128}$/;
+
+const encoder = new TextEncoder();
+
+// ============ Field arithmetic ============
+
+function mod(a, m = P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+function invert(a, m = P) {
+    let low = mod(a, m);
+    let high = m;
+    let lm = 1n;
+    let hm = 0n;
+    while (low > 1n) {
+        const q = high / low;
+        [lm, hm] = [hm - lm * q, lm];
+        [low, high] = [high - low * q, low];
+    }
+    return mod(lm, m);
+}
+
+function powMod(base, exp, m = P) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exp > 0n) {
+        if (exp & 1n) result = (result * base) % m;
+        base = (base * base) % m;
+        exp >>= 1n;
+    }
+    return result;
+}
+
+// ============ Jacobian point arithmetic ============
+// Points are [X, Y, Z] with affine x = X/Z^2, y = Y/Z^3. Z = 0 is infinity.
+
+const INFINITY = [0n, 1n, 0n];
+
+function pointDouble([x, y, z]) {
+    if (z === 0n || y === 0n) return INFINITY;
+    const yy = (y * y) % P;
+    const s = (4n * x * yy) % P;
+    const m = (3n * x * x) % P;
+    const nx = mod(m * m - 2n * s);
+    const ny = mod(m * (s - nx) - 8n * yy * yy);
+    const nz = (2n * y * z) % P;
+    return [nx, ny, nz];
+}
+
+function pointAdd(p1, p2) {
+    const [x1, y1, z1] = p1;
+    const [x2, y2, z2] = p2;
+    if (z1 === 0n) return p2;
+    if (z2 === 0n) return p1;
+
+    const z1z1 = (z1 * z1) % P;
+    const z2z2 = (z2 * z2) % P;
+    const u1 = (x1 * z2z2) % P;
+    const u2 = (x2 * z1z1) % P;
+    const s1 = (y1 * z2 * z2z2) % P;
+    const s2 = (y2 * z1 * z1z1) % P;
+
+    if (u1 === u2) {
+        return s1 === s2 ? pointDouble(p1) : INFINITY;
+    }
+
+    const h = mod(u2 - u1);
+    const r = mod(s2 - s1);
+    const hh = (h * h) % P;
+    const hhh = (h * hh) % P;
+    const v = (u1 * hh) % P;
+    const nx = mod(r * r - hhh - 2n * v);
+    const ny = mod(r * (v - nx) - s1 * hhh);
+    const nz = (h * z1 * z2) % P;
+    return [nx, ny, nz];
+}
+
+function toAffine([x, y, z]) {
+    if (z === 0n) return null;
+    const zi = invert(z);
+    const zi2 = (zi * zi) % P;
+    return [(x * zi2) % P, (y * zi2 * zi) % P];
+}
+
+// Fixed-base table for G: G_TABLE[i][j] = j * 16^i * G (built on first use)
+let G_TABLE = null;
+
+function getGTable() {
+    if (G_TABLE) return G_TABLE;
+
+    G_TABLE = [];
+    let base = [GX, GY, 1n];
+    for (let i = 0; i < 64; i++) {
+        const row = [INFINITY, base];
+        for (let j = 2; j < 16; j++) {
+            row.push(pointAdd(row[j - 1], base));
+        }
+        G_TABLE.push(row);
+        base = pointAdd(row[15], base); // 16 * base
+    }
+    return G_TABLE;
+}
+
+// k * G using the fixed-base table (64 additions, no doublings)
+function multiplyG(k) {
+    const table = getGTable();
+    let acc = INFINITY;
+    for (let i = 0; i < 64 && k > 0n; i++) {
+        const nibble = Number(k & 15n);
+        if (nibble) acc = pointAdd(acc, table[i][nibble]);
+        k >>= 4n;
+    }
+    return acc;
+}
+
+// k * point using a 4-bit window
+function multiply(point, k) {
+    const table = [INFINITY, point];
+    for (let j = 2; j < 16; j++) {
+        table.push(pointAdd(table[j - 1], point));
+    }
+
+    let acc = INFINITY;
+    for (let shift = 252n; shift >= 0n; shift -= 4n) {
+        acc = pointDouble(pointDouble(pointDouble(pointDouble(acc))));
+        const nibble = Number((k >> shift) & 15n);
+        if (nibble) acc = pointAdd(acc, table[nibble]);
+    }
+    return acc;
+}
+
+// Point with the given x and even y, or null if x is not on the curve
+function liftX(x) {
+    if (x >= P) return null;
+    const c = mod(x * x * x + 7n);
+    const y = powMod(c, (P + 1n) / 4n);
+    if ((y * y) % P !== c) return null;
+    return [x, (y & 1n) === 0n ? y : P - y, 1n];
+}
+
+// ============ Hashing ============
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function bytesToHex(bytes) {
+    let hex = '';
+    for (const b of bytes) {
+        hex += b.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+function bytesToBigInt(bytes) {
+    return BigInt('0x' + (bytesToHex(bytes) || '0'));
+}
+
+async function sha256(bytes) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+const tagHashes = new Map();
+
+async function taggedHash(tag, ...chunks) {
+    let tagHash = tagHashes.get(tag);
+    if (!tagHash) {
+        tagHash = await sha256(encoder.encode(tag));
+        tagHashes.set(tag, tagHash);
+    }
+
+    let length = 64;
+    for (const chunk of chunks) length += chunk.length;
+
+    const data = new Uint8Array(length);
+    data.set(tagHash, 0);
+    data.set(tagHash, 32);
+    let offset = 64;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return sha256(data);
+}
+
+// ============ Public API ============
+
+/**
+ * Verify a BIP-340 Schnorr signature
+ *
+ * @param {string} sigHex - 64-byte signature (hex)
+ * @param {string} msgHex - 32-byte message (hex)
+ * @param {string} pubkeyHex - 32-byte x-only public key (hex)
+ * @returns {Promise<boolean>}
+ */
+export async function schnorrVerify(sigHex, msgHex, pubkeyHex) {
+    const pubkeyBytes = hexToBytes(pubkeyHex);
+    const sigBytes = hexToBytes(sigHex);
+
+    const point = liftX(bytesToBigInt(pubkeyBytes));
+    if (!point) return false;
+
+    const r = bytesToBigInt(sigBytes.subarray(0, 32));
+    const s = bytesToBigInt(sigBytes.subarray(32, 64));
+    if (r >= P || s >= N) return false;
+
+    const challenge = await taggedHash('BIP0340/challenge', sigBytes.subarray(0, 32), pubkeyBytes, hexToBytes(msgHex));
+    const e = mod(bytesToBigInt(challenge), N);
+
+    // R = s*G - e*P
+    const R = toAffine(pointAdd(multiplyG(s), multiply(point, e === 0n ? 0n : N - e)));
+    if (!R) return false;
+    if ((R[1] & 1n) !== 0n) return false;
+    return R[0] === r;
+}
+
+/**
+ * Compute the NIP-01 event id
+ *
+ * @param {object} event - Nostr event (id and sig are ignored)
+ * @returns {Promise<string>} Hex sha256 of the serialized event
+ */
+export async function getEventHash(event) {
+    const serialized = JSON.stringify([
+        0,
+        event.pubkey,
+        event.created_at,
+        event.kind,
+        event.tags,
+        event.content
+    ]);
+    return bytesToHex(await sha256(encoder.encode(serialized)));
+}
+
+// Structural checks before doing any hashing
+function hasValidShape(event) {
+    if (typeof event !== 'object' || event === null) return false;
+    if (typeof event.id !== 'string' || !HEX_64.test(event.id)) return false;
+    if (typeof event.pubkey !== 'string' || !HEX_64.test(event.pubkey)) return false;
+    if (typeof event.sig !== 'string' || !HEX_128.test(event.sig)) return false;
+    if (!Number.isInteger(event.created_at) || !Number.isInteger(event.kind)) return false;
+    if (typeof event.content !== 'string' || !Array.isArray(event.tags)) return false;
+    return event.tags.every(tag => Array.isArray(tag) && tag.every(v => typeof v === 'string'));
+}
+
+/**
+ * Full NIP-01 validation: shape, id hash and signature
+ *
+ * @param {object} event - Nostr event as received from a relay
+ * @returns {Promise<boolean>} True if the event is authentic
+ */
+export async function verifyEvent(event) {
+    try {
+        if (!hasValidShape(event)) return false;
+        if (await getEventHash(event) !== event.id) return false;
+        return await schnorrVerify(event.sig, event.id, event.pubkey);
+    } catch (e) {
+        return false;
+    }
+}
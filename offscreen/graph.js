@@ -0,0 +1,22 @@
+// Offscreen document (Chrome only): hosts the graph worker for the background
+// service worker, which cannot start workers itself, and relays its messages
+// (see OffscreenTransport in lib/graph-client.js)
+
+import browser from '../lib/browser.js';
+import { DirectTransport } from '../lib/graph-client.js';
+
+const transport = new DirectTransport();
+
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Only the background talks to the worker
+    if (message?.target !== 'graphWorker' || sender.tab) return false;
+
+    const pending = message.op === 'restart'
+        ? transport.restart(...message.args)
+        : transport.request(message.op, message.args);
+
+    pending
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+    return true; // Async response
+});
@@ -3,6 +3,12 @@ import { DEFAULT_SCORING } from '../lib/scoring.js';
 // Cross-browser compatibility
 const browser = typeof globalThis.browser !== 'undefined' ? globalThis.browser : chrome;
 
+// Sync budget names (GraphSync result.truncated) as shown to the user
+const SYNC_LIMIT_LABELS = { maxNodes: 'node', maxBytes: 'storage', maxTimeMs: 'time' };
+
+// Paths listed under a test result
+const TEST_PATH_LIMIT = 3;
+
 // Bech32 decoding for npub support
 const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
 
@@ -78,6 +84,7 @@ function showSyncStatus(show = true) {
     const syncBtn = document.getElementById('sync');
 
     if (show) {
+        document.getElementById('resumeSyncBox').classList.add('hidden');
         syncStatus.classList.remove('hidden');
         syncBtn.disabled = true;
         syncBtn.classList.add('syncing');
@@ -113,10 +120,11 @@ function updateSyncProgress(progress) {
 
     // Update sync status text
     const pendingText = progress.pending > 0 ? ` (${progress.pending.toLocaleString()} pending)` : '';
+    const rejectedText = progress.rejected > 0 ? `, ${progress.rejected.toLocaleString()} invalid events rejected` : '';
     syncStatusText.textContent = `Syncing depth ${progress.currentDepth}/${progress.maxDepth}...`;
 
     // Update progress details
-    syncProgress.textContent = `${progress.total.toLocaleString()} nodes synced${pendingText}`;
+    syncProgress.textContent = `${progress.total.toLocaleString()} nodes synced${pendingText}${rejectedText}`;
 
     // Update stats display
     statsStatus.textContent = `Syncing...`;
@@ -161,12 +169,29 @@ async function checkSyncState() {
             showSyncStatus(true);
             document.getElementById('syncStatusText').textContent = 'Sync in progress...';
             document.getElementById('syncProgress').textContent = 'Waiting for updates...';
+        } else {
+            showResumeSync(response?.result?.resumable);
         }
     } catch (e) {
         // Ignore
     }
 }
 
+// Offer to continue an interrupted crawl (resumable: summary from getSyncState)
+function showResumeSync(resumable) {
+    const box = document.getElementById('resumeSyncBox');
+    if (!resumable) {
+        box.classList.add('hidden');
+        return;
+    }
+
+    const done = resumable.done.toLocaleString();
+    const pending = resumable.pending.toLocaleString();
+    document.getElementById('resumeSyncText').textContent =
+        `Sync interrupted ${formatTimeAgo(resumable.savedAt)} (${done} nodes, ${pending} pending)`;
+    box.classList.remove('hidden');
+}
+
 // Stop sync button
 document.getElementById('stopSync').addEventListener('click', async () => {
     try {
@@ -174,6 +199,7 @@ document.getElementById('stopSync').addEventListener('click', async () => {
         setStatus('Sync stopped', 'info');
         showSyncStatus(false);
         loadStats();
+        checkSyncState();
     } catch (e) {
         setStatus('Failed to stop sync', 'error');
     }
@@ -187,9 +213,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         'myPubkey',
         'relays',
         'syncDepth',
+        'syncIncremental',
         'maxHops',
         'timeout',
-        'scoring'
+        'scoring',
+        'liveSync',
+        'autoSync',
+        'autoSyncIdleOnly',
+        'syncBudget',
+        'anchors',
+        'lazyGraph',
+        'mutualOnly'
     ]);
 
     // Set mode radio button
@@ -200,12 +234,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('oracleUrl').value = data.oracleUrl || 'https://wot-oracle.mappingbitcoin.com';
     document.getElementById('myPubkey').value = data.myPubkey || '';
     document.getElementById('syncDepth').value = data.syncDepth || '2';
+    document.getElementById('syncIncremental').checked = !!data.syncIncremental;
     document.getElementById('maxHops').value = data.maxHops || 3;
+    document.getElementById('mutualOnly').checked = !!data.mutualOnly;
     document.getElementById('timeout').value = data.timeout || 5000;
+    document.getElementById('liveSync').value = String(data.liveSync || 0);
+    document.getElementById('autoSync').value = String(data.autoSync || 0);
+    document.getElementById('autoSyncIdleOnly').checked = !!data.autoSyncIdleOnly;
+    document.getElementById('lazyGraph').checked = !!data.lazyGraph;
+
+    const syncBudget = data.syncBudget || {};
+    document.getElementById('syncMaxNodes').value = syncBudget.maxNodes || 0;
+    document.getElementById('syncMaxMegabytes').value = Math.round((syncBudget.maxBytes || 0) / 1024 / 1024);
+    document.getElementById('syncMaxMinutes').value = Math.round((syncBudget.maxTimeMs || 0) / 60000);
 
     // Format relays for display (one per line)
     const relays = data.relays || 'wss://relay.damus.io,wss://nos.lol,wss://relay.nostr.band,wss://relay.mappingbitcoin.com';
     document.getElementById('relays').value = relays.split(',').map(r => r.trim()).join('\n');
+    document.getElementById('anchors').value = (data.anchors || []).join('\n');
 
     // Load scoring settings
     const scoring = data.scoring || DEFAULT_SCORING;
@@ -400,6 +446,9 @@ function toFraction(value, defaultValue) {
 
 // Load scoring values into UI (fractions -> percentages)
 function loadScoringUI(scoring) {
+    document.getElementById('scoringAlgorithm').value = scoring.algorithm || DEFAULT_SCORING.algorithm;
+    updateScoringAlgorithmUI();
+
     const weights = scoring.distanceWeights || DEFAULT_SCORING.distanceWeights;
     // 1 hop is always 100% (1.0), not shown in UI
     document.getElementById('weight2').value = toPercent(weights[2], 0.5);
@@ -421,11 +470,16 @@ function loadScoringUI(scoring) {
     }
 
     document.getElementById('maxPathBonus').value = toPercent(scoring.maxPathBonus, 0.5);
+    document.getElementById('mutePenalty').value = toPercent(scoring.mutePenalty, DEFAULT_SCORING.mutePenalty);
+    document.getElementById('maxMutePenalty').value = toPercent(scoring.maxMutePenalty, DEFAULT_SCORING.maxMutePenalty);
+    document.getElementById('reportPenalty').value = toPercent(scoring.reportPenalty, DEFAULT_SCORING.reportPenalty);
+    document.getElementById('maxReportPenalty').value = toPercent(scoring.maxReportPenalty, DEFAULT_SCORING.maxReportPenalty);
 }
 
 // Get scoring values from UI (percentages -> fractions)
 function getScoringFromUI() {
     return {
+        algorithm: document.getElementById('scoringAlgorithm').value,
         distanceWeights: {
             1: 1.0, // 1 hop is always 100%
             2: toFraction(document.getElementById('weight2').value, 0.5),
@@ -437,10 +491,25 @@ function getScoringFromUI() {
             3: toFraction(document.getElementById('pathBonus3').value, 0.1),
             4: toFraction(document.getElementById('pathBonus4').value, 0.05)
         },
-        maxPathBonus: toFraction(document.getElementById('maxPathBonus').value, 0.5)
+        maxPathBonus: toFraction(document.getElementById('maxPathBonus').value, 0.5),
+        mutePenalty: toFraction(document.getElementById('mutePenalty').value, DEFAULT_SCORING.mutePenalty),
+        maxMutePenalty: toFraction(document.getElementById('maxMutePenalty').value, DEFAULT_SCORING.maxMutePenalty),
+        reportPenalty: toFraction(document.getElementById('reportPenalty').value, DEFAULT_SCORING.reportPenalty),
+        maxReportPenalty: toFraction(document.getElementById('maxReportPenalty').value, DEFAULT_SCORING.maxReportPenalty)
     };
 }
 
+// Show the formula of the selected algorithm; hop weights only apply to the distance one
+function updateScoringAlgorithmUI() {
+    const pagerank = document.getElementById('scoringAlgorithm').value === 'pagerank';
+    document.getElementById('distanceScoring').classList.toggle('hidden', pagerank);
+    document.getElementById('scoringFormula').textContent = pagerank
+        ? 'score = PageRank percentile in your network (random walk restarting at you) - mute/report penalties (capped)'
+        : 'score = base + pathBonus (capped) - mute/report penalties (capped)';
+}
+
+document.getElementById('scoringAlgorithm').addEventListener('change', updateScoringAlgorithmUI);
+
 // Try to detect pubkey from window.nostr on the active tab
 async function tryDetectNostrPubkey() {
     try {
@@ -492,6 +561,9 @@ function openModal(modalId) {
     if (modal) {
         modal.classList.remove('hidden');
     }
+    if (modalId === 'advancedModal') {
+        loadRelayStats();
+    }
 }
 
 function closeModal(modalId) {
@@ -553,8 +625,19 @@ async function saveSettings(silent = false) {
     const oracleUrl = document.getElementById('oracleUrl').value.trim();
     const myPubkey = document.getElementById('myPubkey').value.trim();
     const syncDepth = document.getElementById('syncDepth').value;
+    const syncIncremental = document.getElementById('syncIncremental').checked;
     const maxHops = parseInt(document.getElementById('maxHops').value, 10) || 3;
+    const mutualOnly = document.getElementById('mutualOnly').checked;
     const timeout = parseInt(document.getElementById('timeout').value, 10) || 5000;
+    const liveSync = parseInt(document.getElementById('liveSync').value, 10) || 0;
+    const autoSync = parseInt(document.getElementById('autoSync').value, 10) || 0;
+    const autoSyncIdleOnly = document.getElementById('autoSyncIdleOnly').checked;
+    const lazyGraph = document.getElementById('lazyGraph').checked;
+    const syncBudget = {
+        maxNodes: Math.max(0, parseInt(document.getElementById('syncMaxNodes').value, 10) || 0),
+        maxBytes: Math.max(0, parseFloat(document.getElementById('syncMaxMegabytes').value) || 0) * 1024 * 1024,
+        maxTimeMs: Math.max(0, parseFloat(document.getElementById('syncMaxMinutes').value) || 0) * 60000
+    };
     const scoring = getScoringFromUI();
 
     // Parse relays (support both newline and comma separated)
@@ -580,6 +663,22 @@ async function saveSettings(silent = false) {
 
     const relays = relaysList.join(',');
 
+    // Validate and normalize trust anchors (hex or npub, one per line or comma-separated)
+    const anchors = [];
+    const anchorsList = document.getElementById('anchors').value
+        .split(/[\n,]+/)
+        .map(a => a.trim())
+        .filter(Boolean);
+    for (const anchor of anchorsList) {
+        const hex = normalizeToHex(anchor);
+        if (!hex) {
+            setStatus(`Invalid trust anchor: ${anchor} (use hex or npub)`, 'error');
+            return false;
+        }
+        if (!anchors.includes(hex)) anchors.push(hex);
+    }
+    document.getElementById('anchors').value = anchors.join('\n');
+
     // Validate and normalize pubkey (accepts hex or npub)
     let normalizedPubkey = '';
     if (myPubkey) {
@@ -620,10 +719,10 @@ async function saveSettings(silent = false) {
         }
     }
 
-    await browser.storage.sync.set({ mode, oracleUrl, myPubkey: normalizedPubkey, relays, syncDepth, maxHops, timeout, scoring });
+    await browser.storage.sync.set({ mode, oracleUrl, myPubkey: normalizedPubkey, relays, syncDepth, syncIncremental, maxHops, timeout, scoring, liveSync, autoSync, autoSyncIdleOnly, syncBudget, anchors, lazyGraph, mutualOnly });
 
-    // Notify background script
-    browser.runtime.sendMessage({ method: 'configUpdated' });
+    // Notify background script (the auto-sync schedule may have changed)
+    browser.runtime.sendMessage({ method: 'configUpdated' }).then(loadAutoSyncState);
 
     if (!silent) {
         setStatus('Settings saved', 'success');
@@ -650,6 +749,7 @@ document.getElementById('resetScoring').addEventListener('click', () => {
 document.getElementById('sync').addEventListener('click', async () => {
     const pubkeyInput = document.getElementById('myPubkey').value.trim();
     const depth = parseInt(document.getElementById('syncDepth').value, 10);
+    const incremental = document.getElementById('syncIncremental').checked;
 
     if (!pubkeyInput) {
         alert('Please set your pubkey first (hex or npub format)');
@@ -669,6 +769,14 @@ document.getElementById('sync').addEventListener('click', async () => {
         return;
     }
 
+    await runSync('syncGraph', { depth, incremental });
+});
+
+// Resume an interrupted sync
+document.getElementById('resumeSync').addEventListener('click', () => runSync('resumeSync'));
+
+// Run a sync in the background and report the outcome
+async function runSync(method, params) {
     // Show sync status UI
     showSyncStatus(true);
     document.getElementById('syncStatusText').textContent = 'Connecting to relays...';
@@ -684,24 +792,27 @@ document.getElementById('sync').addEventListener('click', async () => {
     depthStats.classList.remove('hidden');
 
     try {
-        const response = await browser.runtime.sendMessage({
-            method: 'syncGraph',
-            params: { depth }
-        });
+        const response = await browser.runtime.sendMessage({ method, params });
 
         // Hide sync status and reset button
         showSyncStatus(false);
 
         if (response.error) {
             setStatus(`Sync failed: ${response.error}`, 'error');
+            checkSyncState();
         } else {
-            const { nodes, reused, failed, aborted } = response.result;
+            const { nodes, reused, updated, failed, notFound, rejected, aborted, truncated, skipped } = response.result;
             if (aborted) {
                 setStatus('Sync stopped', 'info');
+                checkSyncState();
             } else {
                 let msg = `Synced ${nodes.toLocaleString()} nodes`;
+                if (updated > 0) msg += ` (${updated.toLocaleString()} updated)`;
                 if (reused > 0) msg += ` (${reused.toLocaleString()} cached)`;
                 if (failed > 0) msg += ` (${failed.toLocaleString()} failed)`;
+                if (notFound > 0) msg += ` (${notFound.toLocaleString()} without list)`;
+                if (rejected > 0) msg += ` (${rejected.toLocaleString()} rejected)`;
+                if (truncated) msg += ` - ${SYNC_LIMIT_LABELS[truncated]} limit reached, ${skipped.toLocaleString()} skipped`;
                 setStatus(msg, 'success');
             }
             loadStats();
@@ -710,7 +821,7 @@ document.getElementById('sync').addEventListener('click', async () => {
         showSyncStatus(false);
         setStatus(`Sync failed: ${e.message}`, 'error');
     }
-});
+}
 
 // Clear local data
 document.getElementById('clear').addEventListener('click', async () => {
@@ -720,6 +831,7 @@ document.getElementById('clear').addEventListener('click', async () => {
         await browser.runtime.sendMessage({ method: 'clearGraph' });
         setStatus('Local data cleared', 'success');
         loadStats();
+        checkSyncState();
     } catch (e) {
         setStatus(`Clear failed: ${e.message}`, 'error');
     }
@@ -734,18 +846,45 @@ document.getElementById('test').addEventListener('click', async () => {
         return;
     }
 
-    // Validate and normalize target pubkey (accepts hex or npub)
-    const target = normalizeToHex(targetInput);
+    // Validate and normalize target pubkey (accepts hex, npub or name@domain)
+    let target = normalizeToHex(targetInput);
+    if (!target && targetInput.includes('@')) {
+        showTestResult(`Resolving ${targetInput}…`, 'info');
+        try {
+            const response = await browser.runtime.sendMessage({
+                method: 'resolveNip05',
+                params: { identifier: targetInput }
+            });
+            if (response.error) {
+                showTestResult(`Error: ${response.error}`, 'error');
+                return;
+            }
+            target = response.result;
+        } catch (e) {
+            showTestResult(`Query failed: ${e.message}`, 'error');
+            return;
+        }
+        if (!target) {
+            showTestResult(`Could not resolve ${targetInput}`, 'error');
+            return;
+        }
+    }
     if (!target) {
-        showTestResult('Invalid pubkey format (use hex or npub)', 'error');
+        showTestResult('Invalid pubkey format (use hex, npub or name@domain)', 'error');
         return;
     }
 
+    // Anchors come back as hex; the field may still hold an unsaved npub
+    const myPubkey = normalizeToHex(document.getElementById('myPubkey').value);
+
     try {
-        // Get details (hops + paths) and trust score
-        const [detailsResponse, scoreResponse] = await Promise.all([
+        // Get details (hops + paths), trust score, a few paths to show and a fresh
+        // NIP-05 check (getDetails only reports the cached one)
+        const [detailsResponse, scoreResponse, pathsResponse, nip05Response] = await Promise.all([
             browser.runtime.sendMessage({ method: 'getDetails', params: { target } }),
-            browser.runtime.sendMessage({ method: 'getTrustScore', params: { target } })
+            browser.runtime.sendMessage({ method: 'getTrustScore', params: { target } }),
+            browser.runtime.sendMessage({ method: 'getPaths', params: { target, limit: TEST_PATH_LIMIT } }),
+            browser.runtime.sendMessage({ method: 'verifyNip05', params: { target } })
         ]);
 
         if (detailsResponse.error) {
@@ -753,14 +892,30 @@ document.getElementById('test').addEventListener('click', async () => {
         } else if (detailsResponse.result === null) {
             showTestResult('Not connected (no path found)', 'info');
         } else if (detailsResponse.result.hops === 0) {
-            showTestResult('That\'s you! (score: 1.00)', 'success');
+            const isMe = detailsResponse.result.anchor === myPubkey;
+            showTestResult(isMe ? 'That\'s you! (score: 1.00)' : 'Trust anchor (score: 1.00)', 'success');
         } else {
-            const { hops, paths } = detailsResponse.result;
+            const { hops, paths, anchor, mutedBy, reports, followsBack } = detailsResponse.result;
             const hopLabel = hops === 1 ? 'hop' : 'hops';
             const score = scoreResponse.result;
             const scoreText = score !== null ? `, score: ${score.toFixed(2)}` : '';
             const pathText = paths !== null ? `, ${paths} path${paths === 1 ? '' : 's'}` : '';
-            showTestResult(`${hops} ${hopLabel}${pathText}${scoreText}`, 'success');
+            const muteText = mutedBy > 0 ? `, muted by ${mutedBy}` : '';
+            const followsBackText = followsBack ? ', follows you' : '';
+            const reportText = reports?.count > 0
+                ? `, reported by ${reports.count} (${Object.keys(reports.byType).join(', ')})`
+                : '';
+            // Only worth naming when trust is measured from someone else
+            const anchorText = anchor && anchor !== myPubkey
+                ? ` from anchor ${shortPubkey(anchor)}`
+                : '';
+            showTestResult(`${hops} ${hopLabel}${anchorText}${pathText}${scoreText}${followsBackText}${muteText}${reportText}`, 'success');
+        }
+
+        // Who the target is and how we're connected, with cached names/pictures
+        if (!detailsResponse.error) {
+            const nip05Status = nip05Response?.result ?? detailsResponse.result?.nip05 ?? null;
+            await showTestProfile(target, pathsResponse?.result || [], nip05Status, myPubkey);
         }
     } catch (e) {
         showTestResult(`Query failed: ${e.message}`, 'error');
@@ -778,7 +933,7 @@ async function loadStats() {
     try {
         const response = await browser.runtime.sendMessage({ method: 'getStats' });
         if (response.result) {
-            const { nodes, edges, lastSync, nodesPerDepth, dbSizeBytes } = response.result;
+            const { nodes, edges, lastSync, nodesPerDepth, dbSizeBytes, completeness, fetchStatus } = response.result;
 
             if (nodes > 0) {
                 statsStatus.textContent = lastSync
@@ -793,6 +948,10 @@ async function loadStats() {
             statsNodes.textContent = nodes.toLocaleString();
             statsEdges.textContent = edges.toLocaleString();
             statsSize.textContent = formatBytes(dbSizeBytes);
+            showCompleteness(completeness, fetchStatus);
+
+            loadLiveSyncState();
+            loadAutoSyncState();
 
             // Display nodes per depth
             if (nodesPerDepth && Object.keys(nodesPerDepth).length > 0) {
@@ -844,6 +1003,161 @@ async function loadStats() {
     }
 }
 
+// Health of the configured relays from past syncs, with a button to drop each from the list
+async function loadRelayStats() {
+    const container = document.getElementById('relayStats');
+    const relaysInput = document.getElementById('relays');
+
+    let stats = [];
+    try {
+        const response = await browser.runtime.sendMessage({ method: 'getRelayStats' });
+        stats = response?.result || [];
+    } catch (e) {
+        // Show the relays without data
+    }
+
+    const byUrl = new Map(stats.map(entry => [entry.url.replace(/\/$/, ''), entry]));
+    const relays = relaysInput.value.split(/[\n,]+/).map(r => r.trim()).filter(Boolean);
+
+    container.textContent = '';
+    if (relays.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'depth-header';
+    header.textContent = 'Relay health';
+    container.appendChild(header);
+
+    for (const url of relays) {
+        const entry = byUrl.get(url.replace(/\/$/, ''));
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'stats-label';
+        labelSpan.textContent = url.replace(/^wss:\/\//, '');
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'stats-value';
+        if (!entry) {
+            valueSpan.textContent = 'no data yet';
+        } else if (entry.connects === 0) {
+            valueSpan.textContent = `unreachable (${entry.connectFailures}×)`;
+            valueSpan.classList.add('relay-dead');
+        } else {
+            const parts = [];
+            if (entry.successRate !== null) parts.push(`${Math.round(entry.successRate * 100)}% ok`);
+            if (entry.avgResponseMs !== null) parts.push(`${entry.avgResponseMs} ms`);
+            if (entry.timeouts > 0) parts.push(`${entry.timeouts} timeouts`);
+            valueSpan.textContent = parts.join(' · ') || 'connected';
+        }
+        if (entry) {
+            valueSpan.title = [
+                `Connected ${entry.connects}×, failed ${entry.connectFailures}×` +
+                    (entry.avgConnectMs !== null ? ` (avg ${entry.avgConnectMs} ms)` : ''),
+                `Requests: ${entry.requests}, timeouts: ${entry.timeouts}`,
+                `NOTICE: ${entry.notices}, CLOSED: ${entry.closed}`,
+                `Events served: ${entry.events.toLocaleString()} (${entry.rejected} rejected)`,
+                `Last seen: ${entry.lastSeen ? formatTimeAgo(entry.lastSeen) : 'never'}`
+            ].join('\n');
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'relay-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove from relays (save to apply)';
+        removeBtn.addEventListener('click', () => {
+            const remaining = relaysInput.value.split(/[\n,]+/).map(r => r.trim()).filter(r => r && r !== url);
+            relaysInput.value = remaining.join('\n');
+            loadRelayStats();
+        });
+
+        row.appendChild(labelSpan);
+        row.appendChild(valueSpan);
+        row.appendChild(removeBtn);
+        container.appendChild(row);
+    }
+
+    container.classList.remove('hidden');
+}
+
+// Share of reached pubkeys with a follow list, and why the rest have none
+function showCompleteness(completeness, fetchStatus) {
+    const row = document.getElementById('completenessRow');
+    const statsCompleteness = document.getElementById('statsCompleteness');
+
+    if (completeness === null || completeness === undefined) {
+        row.classList.add('hidden');
+        return;
+    }
+
+    statsCompleteness.textContent = `${Math.floor(completeness * 100)}%`;
+    statsCompleteness.title = [
+        `${fetchStatus.notFound.toLocaleString()} without a follow list on relays`,
+        `${fetchStatus.errored.toLocaleString()} unreachable`,
+        `${fetchStatus.retryPending.toLocaleString()} waiting for a retry`
+    ].join('\n');
+    row.classList.remove('hidden');
+}
+
+// Show last/next scheduled re-sync in the stats box
+async function loadAutoSyncState() {
+    const row = document.getElementById('autoSyncRow');
+    const statsAutoSync = document.getElementById('statsAutoSync');
+
+    try {
+        const response = await browser.runtime.sendMessage({ method: 'getAutoSyncState' });
+        const state = response?.result;
+        if (!state?.enabled) {
+            row.classList.add('hidden');
+            return;
+        }
+
+        const parts = [];
+        if (state.lastRun) {
+            parts.push(`last ${formatTimeAgo(state.lastRun.time)} (${state.lastRun.status})`);
+        }
+        if (state.nextRun) {
+            parts.push(`next ${formatTimeUntil(state.nextRun)}`);
+        }
+        statsAutoSync.textContent = parts.join(', ') || `every ${state.intervalHours}h`;
+        if (state.lastRun?.reason) {
+            statsAutoSync.title = state.lastRun.reason;
+        } else {
+            statsAutoSync.removeAttribute('title');
+        }
+        row.classList.remove('hidden');
+    } catch (e) {
+        row.classList.add('hidden');
+    }
+}
+
+// Show live subscription status in the stats box
+async function loadLiveSyncState() {
+    const row = document.getElementById('liveSyncRow');
+    const statsLive = document.getElementById('statsLive');
+
+    try {
+        const response = await browser.runtime.sendMessage({ method: 'getLiveSyncState' });
+        const state = response?.result;
+        if (!state?.running) {
+            row.classList.add('hidden');
+            return;
+        }
+
+        let text = `${state.connectedRelays}/${state.totalRelays} relays, ${state.authors.toLocaleString()} authors`;
+        if (state.lastUpdate) {
+            text += `, updated ${formatTimeAgo(state.lastUpdate)}`;
+        }
+        statsLive.textContent = text;
+        row.classList.remove('hidden');
+    } catch (e) {
+        row.classList.add('hidden');
+    }
+}
+
 // Update UI based on mode
 function updateUI(mode) {
     const localSection = document.getElementById('localSection');
@@ -876,6 +1190,78 @@ function showTestResult(message, type) {
     testResult.className = `test-result show ${type}`;
 }
 
+// Short label for a pubkey without a cached profile
+function shortPubkey(pubkey) {
+    return `${pubkey.slice(0, 8)}…`;
+}
+
+function profileName(profile, pubkey) {
+    return profile?.displayName || profile?.name || shortPubkey(pubkey);
+}
+
+// Prepend the target's picture/name and append the paths (as names) to the test result
+// nip05: verification status from getDetails, if known; myPubkey (hex) is shown as "You"
+async function showTestProfile(target, paths, nip05Status, myPubkey) {
+    const pubkeys = [...new Set([target, ...paths.flat()])];
+    let profiles = {};
+    try {
+        const response = await browser.runtime.sendMessage({ method: 'getProfiles', params: { pubkeys } });
+        profiles = response?.result || {};
+    } catch (e) {
+        // Fall back to short pubkeys
+    }
+
+    const testResult = document.getElementById('testResult');
+    const profile = profiles[target];
+
+    if (profile) {
+        const header = document.createElement('div');
+        header.className = 'test-profile';
+
+        if (profile.picture) {
+            const img = document.createElement('img');
+            img.className = 'profile-picture';
+            img.src = profile.picture;
+            img.alt = '';
+            img.referrerPolicy = 'no-referrer';
+            img.addEventListener('error', () => img.remove());
+            header.appendChild(img);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'profile-name';
+        name.textContent = profileName(profile, target);
+        header.appendChild(name);
+
+        if (profile.nip05) {
+            const nip05 = document.createElement('span');
+            nip05.className = 'profile-nip05';
+            nip05.textContent = profile.nip05;
+            if (nip05Status && nip05Status.verified !== null) {
+                nip05.classList.add(nip05Status.verified ? 'verified' : 'unverified');
+                nip05.textContent = `${nip05Status.verified ? '✓' : '✗'} ${profile.nip05}`;
+                nip05.title = nip05Status.verified
+                    ? `Verified ${formatTimeAgo(nip05Status.checkedAt)}`
+                    : 'NIP-05 does not point to this pubkey';
+            }
+            header.appendChild(nip05);
+        }
+
+        testResult.prepend(header);
+    }
+
+    for (const path of paths) {
+        if (path.length < 2) continue;
+        const pathDiv = document.createElement('div');
+        pathDiv.className = 'test-path';
+        // Paths start at the nearest anchor, which is not always me
+        pathDiv.textContent = path
+            .map(pubkey => pubkey === myPubkey ? 'You' : profileName(profiles[pubkey], pubkey))
+            .join(' → ');
+        testResult.appendChild(pathDiv);
+    }
+}
+
 // Format time ago
 function formatTimeAgo(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
@@ -886,6 +1272,16 @@ function formatTimeAgo(timestamp) {
     return `${Math.floor(seconds / 86400)}d ago`;
 }
 
+// Format a future timestamp relative to now
+function formatTimeUntil(timestamp) {
+    const seconds = Math.floor((timestamp - Date.now()) / 1000);
+
+    if (seconds < 60) return 'soon';
+    if (seconds < 3600) return `in ${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `in ${Math.floor(seconds / 3600)}h`;
+    return `in ${Math.floor(seconds / 86400)}d`;
+}
+
 // Format bytes to human readable
 function formatBytes(bytes) {
     if (bytes === 0 || bytes === null || bytes === undefined) return '0 B';